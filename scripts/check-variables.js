@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { analyzeDependencies } = require('./lib/dependencies');
+const { loadIterationData } = require('./lib/iteration-data');
+const { listEnvironments, resolveEnvironment } = require('./lib/environments');
+const { resolveCollectionFiles } = require('./lint-collections');
+
+const ENVIRONMENTS_DIR = path.join(__dirname, '..', 'environments');
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+/**
+ * Load environments by name (`dev`, `qa`, ...) with what they extend merged in; all environments by default
+ */
+function loadNamedEnvironments(names) {
+    const available = listEnvironments(ENVIRONMENTS_DIR);
+    
+    return (names.length > 0 ? names : available).map(name => {
+        if (!available.includes(name)) {
+            throw new Error(`Environment not found: ${name} (available: ${available.join(', ')})`);
+        }
+        return { name, environment: resolveEnvironment(ENVIRONMENTS_DIR, name) };
+    });
+}
+
+/**
+ * Get the column names of an iteration data file (a path or a file name in data/)
+ */
+function dataColumns(file) {
+    if (!file) return [];
+    
+    const resolved = fs.existsSync(file) ? file : path.join(DATA_DIR, file);
+    if (!fs.existsSync(resolved)) {
+        throw new Error(`Iteration data not found: ${file}`);
+    }
+    return [...new Set(loadIterationData(resolved).flatMap(row => Object.keys(row)))];
+}
+
+/**
+ * Print the analysis for people
+ */
+function printReport(report) {
+    console.log(chalk.cyan('🔗 Checking variable dependencies...'));
+    
+    report.forEach(({ environment, collections, unusedEnvironmentVariables }) => {
+        console.log(`\n${chalk.blue('Environment:')} ${environment}`);
+        
+        collections.forEach(result => {
+            const problems = result.undefinedReads.length + result.crossFolder.length + result.setNeverRead.length + result.unusedCollectionVariables.length;
+            console.log(`  ${chalk.bold(result.collection)}${problems === 0 ? ` ${chalk.green('✓')}` : ''}`);
+            
+            result.undefinedReads.forEach(({ variable, request, where }) => {
+                console.log(`    ${chalk.red('✗')} {{${variable}}} is undefined when ${request} reads it (${where})`);
+            });
+            const dependencies = new Map();
+            result.crossFolder.forEach(dependency => {
+                const key = `${dependency.variable}\u0000${dependency.producer}`;
+                if (!dependencies.has(key)) dependencies.set(key, { ...dependency, requests: [] });
+                dependencies.get(key).requests.push(dependency.request);
+            });
+            dependencies.forEach(({ variable, producer, producerFolder, requests }) => {
+                console.log(`    ${chalk.yellow('⚠')} {{${variable}}} is set by ${producer} in another folder; running without "${producerFolder || '(collection root)'}" leaves it undefined for:`);
+                requests.forEach(request => console.log(`        ${chalk.gray('•')} ${request}`));
+            });
+            result.setNeverRead.forEach(({ variable, setBy }) => {
+                console.log(`    ${chalk.yellow('⚠')} {{${variable}}} is set by ${setBy} but never read`);
+            });
+            if (result.unusedCollectionVariables.length > 0) {
+                console.log(`    ${chalk.gray('ℹ')} Unused collection variables: ${result.unusedCollectionVariables.join(', ')}`);
+            }
+        });
+        
+        if (unusedEnvironmentVariables.length > 0) {
+            console.log(`  ${chalk.gray('ℹ')} Environment variables no collection reads: ${unusedEnvironmentVariables.join(', ')}`);
+        }
+    });
+    
+    const count = key => report.reduce((total, entry) => total + entry.collections.reduce((sum, result) => sum + result[key].length, 0), 0);
+    console.log('\n' + '='.repeat(50));
+    console.log(`${chalk.red(`${count('undefinedReads')} undefined`)}, ${chalk.yellow(`${count('crossFolder')} cross-folder`)}, ${chalk.yellow(`${count('setNeverRead')} set but never read`)}`);
+}
+
+/**
+ * CLI interface
+ */
+function main() {
+    const args = process.argv.slice(2);
+    const valuesOf = flag => args.filter((arg, index) => args[index - 1] === flag);
+    const valueFlags = ['--env', '--data', '--format'];
+    const positional = args.filter((arg, index) => !arg.startsWith('--') && !valueFlags.includes(args[index - 1]));
+    
+    try {
+        const format = valuesOf('--format')[0] || 'text';
+        if (!['text', 'json'].includes(format)) {
+            throw new Error(`Unknown format "${format}" (use text, json)`);
+        }
+        
+        const collections = resolveCollectionFiles(positional).map(file => ({
+            name: path.basename(file, '.postman_collection.json'),
+            collection: JSON.parse(fs.readFileSync(file, 'utf8'))
+        }));
+        const report = analyzeDependencies(collections, loadNamedEnvironments(valuesOf('--env')), {
+            dataColumns: dataColumns(valuesOf('--data')[0])
+        });
+        
+        if (format === 'json') {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            printReport(report);
+        }
+        
+        const hasUndefined = report.some(entry => entry.collections.some(result => result.undefinedReads.length > 0));
+        process.exit(hasUndefined ? 1 : 0);
+    } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+    }
+}
+
+// Run the check if script is executed directly
+if (require.main === module) {
+    main();
+}
+
+module.exports = { loadNamedEnvironments, dataColumns };
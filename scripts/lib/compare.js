@@ -0,0 +1,108 @@
+/**
+ * Map item ids to their folder/request name path in a Newman JSON report's collection
+ */
+function indexItemPaths(items, parentPath = [], index = new Map()) {
+    (items || []).forEach(item => {
+        const itemPath = [...parentPath, item.name];
+        if (item.item) {
+            indexItemPaths(item.item, itemPath, index);
+        } else if (item.id) {
+            index.set(item.id, itemPath.join(' / '));
+        }
+    });
+    return index;
+}
+
+/**
+ * Reduce a Newman JSON report to per-request response times and per-assertion outcomes.
+ * Assertions are folded across iterations: one failing iteration marks the assertion failed.
+ */
+function summarizeReport(report) {
+    if (!report || !report.run || !Array.isArray(report.run.executions)) {
+        throw new Error('Not a Newman JSON report (missing run.executions)');
+    }
+    
+    const paths = indexItemPaths(report.collection && report.collection.item);
+    const requests = new Map();
+    const assertions = new Map();
+    
+    report.run.executions.forEach(execution => {
+        const request = paths.get(execution.item.id) || execution.item.name;
+        
+        if (!requests.has(request)) requests.set(request, []);
+        if (execution.response && execution.response.responseTime !== undefined) {
+            requests.get(request).push(execution.response.responseTime);
+        }
+        
+        (execution.assertions || []).forEach(assertion => {
+            const key = `${request} › ${assertion.assertion}`;
+            const passed = !assertion.error;
+            assertions.set(key, assertions.has(key) ? assertions.get(key) && passed : passed);
+        });
+    });
+    
+    return { requests, assertions };
+}
+
+/**
+ * Average of a list of numbers, or undefined for an empty list
+ */
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : undefined;
+}
+
+/**
+ * Compare a current Newman JSON report against a baseline report.
+ * Newly failing assertions and response times slower than `threshold` percent
+ * (and by at least `minDelta` ms) count as regressions.
+ */
+function compareReports(baselineReport, currentReport, { threshold = 20, minDelta = 50 } = {}) {
+    const baseline = summarizeReport(baselineReport);
+    const current = summarizeReport(currentReport);
+    
+    const newlyFailing = [];
+    const newlyPassing = [];
+    current.assertions.forEach((passed, test) => {
+        const before = baseline.assertions.get(test);
+        if (!passed && before !== false) {
+            newlyFailing.push({ test, inBaseline: before !== undefined });
+        } else if (passed && before === false) {
+            newlyPassing.push({ test });
+        }
+    });
+    
+    const addedRequests = [...current.requests.keys()].filter(request => !baseline.requests.has(request));
+    const removedRequests = [...baseline.requests.keys()].filter(request => !current.requests.has(request));
+    
+    const slower = [];
+    current.requests.forEach((times, request) => {
+        const before = average(baseline.requests.get(request) || []);
+        const now = average(times);
+        if (before === undefined || now === undefined) return;
+        
+        const delta = now - before;
+        const change = before > 0 ? (delta / before) * 100 : Infinity;
+        if (change > threshold && delta >= minDelta) {
+            slower.push({
+                request,
+                baseline: Math.round(before),
+                current: Math.round(now),
+                change: Math.round(change)
+            });
+        }
+    });
+    slower.sort((a, b) => b.change - a.change);
+    
+    return {
+        threshold,
+        minDelta,
+        newlyFailing,
+        newlyPassing,
+        addedRequests,
+        removedRequests,
+        slower,
+        regressions: newlyFailing.length + slower.length
+    };
+}
+
+module.exports = { summarizeReport, compareReports };
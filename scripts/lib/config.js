@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', '..', 'newman-runner.config.json');
+
+/**
+ * Settings a profile may define; anything else is rejected so typos don't go unnoticed
+ */
+const PROFILE_KEYS = [
+    'collections',
+    'environments',
+    'reporters',
+    'summaryReporters',
+    'timeout',
+    'delay',
+    'iterations',
+    'bail',
+    'folders',
+    'tags',
+    'excludeTags',
+    'retry',
+    'history',
+    'budgets',
+    'diff',
+    'parallel',
+    'environmentConcurrency',
+    'environmentDelay',
+    'redaction',
+    'contract',
+    'data',
+    'record',
+    'load'
+];
+
+/**
+ * Load the runner config file. A missing file yields an empty config.
+ */
+function loadConfig(configPath = DEFAULT_CONFIG_PATH) {
+    if (!fs.existsSync(configPath)) {
+        return { defaults: {}, profiles: {} };
+    }
+    
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to parse config ${configPath}: ${error.message}`);
+    }
+    
+    config.defaults = config.defaults || {};
+    config.profiles = config.profiles || {};
+    
+    validateSettings(config.defaults, 'defaults');
+    Object.entries(config.profiles).forEach(([name, profile]) => {
+        validateSettings(profile, `profiles.${name}`);
+    });
+    
+    return config;
+}
+
+/**
+ * Check that a settings block only uses known keys
+ */
+function validateSettings(settings, location) {
+    Object.keys(settings).forEach(key => {
+        if (!PROFILE_KEYS.includes(key)) {
+            throw new Error(`Unknown setting "${key}" in ${location}`);
+        }
+    });
+}
+
+/**
+ * Merge the config defaults with a named profile (or just the defaults when no name is given)
+ */
+function resolveProfile(config, name) {
+    if (!name) {
+        return { ...config.defaults };
+    }
+    
+    if (!config.profiles[name]) {
+        const available = Object.keys(config.profiles).join(', ') || 'none';
+        throw new Error(`Unknown profile "${name}" (available: ${available})`);
+    }
+    
+    return { ...config.defaults, ...config.profiles[name] };
+}
+
+module.exports = { DEFAULT_CONFIG_PATH, PROFILE_KEYS, loadConfig, resolveProfile };
@@ -0,0 +1,193 @@
+const { toJsonSchema } = require('./openapi');
+const { escapeRegExp } = require('./strings');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * Turn a templated path (`/pets/{petId}`, or a server URL path with variables) into a regex source
+ */
+function templateToPattern(template) {
+    return template.split(/(\{[^}]+\})/).map(part => (
+        /^\{[^}]+\}$/.test(part) ? '[^/]+' : escapeRegExp(part)
+    )).join('');
+}
+
+/**
+ * Get the base paths of the spec's servers (e.g. `/v1` for `https://api.example.com/v1/`)
+ */
+function serverBasePaths(spec) {
+    const basePaths = new Set(['']);
+    (spec.servers || []).forEach(server => {
+        const url = String(server.url || '').replace(/^[a-z]+:\/\/[^/]*/i, '');
+        basePaths.add(url.replace(/\/$/, ''));
+    });
+    return [...basePaths];
+}
+
+/**
+ * Collect the documented headers and JSON bodies of an operation's responses
+ */
+function documentedResponses(spec, operation) {
+    const responses = {};
+    
+    Object.entries(operation.responses || {}).forEach(([code, entry]) => {
+        const response = toJsonSchema(spec, entry) || {};
+        const headers = {};
+        const content = {};
+        
+        Object.entries(response.headers || {}).forEach(([name, header]) => {
+            // Content-Type is described by `content`
+            if (name.toLowerCase() === 'content-type') return;
+            headers[name.toLowerCase()] = { required: Boolean(header.required), schema: header.schema || null };
+        });
+        Object.entries(response.content || {}).forEach(([mediaType, media]) => {
+            content[mediaType.toLowerCase()] = media.schema || null;
+        });
+        
+        responses[code.toUpperCase()] = { headers, content };
+    });
+    
+    return responses;
+}
+
+/**
+ * Build the contract the sandbox script checks responses against: one entry per operation,
+ * most specific path first, with its responses converted to plain JSON Schema
+ */
+function buildContract(spec) {
+    const prefix = `(?:${serverBasePaths(spec).map(templateToPattern).join('|')})`;
+    const operations = [];
+    
+    Object.entries(spec.paths).forEach(([template, pathItem]) => {
+        HTTP_METHODS.filter(method => pathItem[method]).forEach(method => {
+            const operation = pathItem[method];
+            operations.push({
+                name: operation.operationId || `${method.toUpperCase()} ${template}`,
+                method: method.toUpperCase(),
+                pattern: `^${prefix}${templateToPattern(template)}/?$`,
+                literals: template.split('/').filter(segment => segment && !segment.includes('{')).length,
+                responses: documentedResponses(spec, operation)
+            });
+        });
+    });
+    
+    return operations
+        .sort((a, b) => b.literals - a.literals)
+        .map(({ literals, ...operation }) => operation);
+}
+
+/**
+ * Check the current response against the contract. Runs inside the Postman sandbox as a
+ * collection-level test script, so it may only use pm and the sandbox's built-in modules.
+ */
+function checkContract(operations) {
+    var method = pm.request.method.toUpperCase();
+    var path = pm.request.url.getPath();
+    var operation = operations.find(function (candidate) {
+        return candidate.method === method && new RegExp(candidate.pattern).test(path);
+    });
+    
+    if (!operation) {
+        pm.test('Contract: operation', function () {
+            pm.expect.fail('No operation in the contract matches ' + method + ' ' + path);
+        });
+        return;
+    }
+    
+    var code = String(pm.response.code);
+    var response = operation.responses[code] || operation.responses[code[0] + 'XX'] || operation.responses.DEFAULT;
+    if (!response) {
+        pm.test('Contract: status', function () {
+            pm.expect.fail('Status ' + code + ' is not documented for ' + operation.name +
+                ' (documented: ' + Object.keys(operation.responses).join(', ') + ')');
+        });
+        return;
+    }
+    
+    var Ajv = require('ajv');
+    var ajv = new Ajv({ allErrors: true, unknownFormats: 'ignore' });
+    var violations = [];
+    var check = function (schema, value, location) {
+        var validate = ajv.compile(schema);
+        if (validate(value)) return;
+        
+        validate.errors.forEach(function (error) {
+            var missing = error.keyword === 'required' ? '.' + error.params.missingProperty : '';
+            violations.push({ path: location + error.dataPath + missing, message: error.message });
+        });
+    };
+    
+    Object.keys(response.headers).forEach(function (name) {
+        var header = response.headers[name];
+        var value = pm.response.headers.get(name);
+        
+        if (value === undefined || value === null) {
+            if (header.required) violations.push({ path: 'headers.' + name, message: 'required header is missing' });
+            return;
+        }
+        if (!header.schema) return;
+        
+        var type = header.schema.type;
+        var typed = type === 'integer' || type === 'number' ? Number(value) : type === 'boolean' ? value === 'true' : value;
+        check(header.schema, typed, 'headers.' + name);
+    });
+    
+    var mediaTypes = Object.keys(response.content);
+    if (mediaTypes.length > 0) {
+        var contentType = String(pm.response.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+        var mediaType = mediaTypes.find(function (candidate) {
+            return candidate === contentType || candidate === '*/*' ||
+                (candidate.endsWith('/*') && contentType.indexOf(candidate.slice(0, -1)) === 0);
+        });
+        
+        if (!mediaType) {
+            violations.push({
+                path: 'headers.content-type',
+                message: (contentType || 'no content type') + ' is not one of ' + mediaTypes.join(', ')
+            });
+        } else if (response.content[mediaType] && /json/.test(contentType)) {
+            var body;
+            try {
+                body = pm.response.json();
+            } catch (error) {
+                violations.push({ path: 'body', message: 'is not valid JSON' });
+            }
+            if (body !== undefined) check(response.content[mediaType], body, 'body');
+        }
+    }
+    
+    if (violations.length === 0) {
+        pm.test('Contract: response matches ' + operation.name, function () {});
+        return;
+    }
+    
+    violations.forEach(function (violation) {
+        pm.test('Contract: ' + violation.path, function () {
+            pm.expect.fail(violation.message);
+        });
+    });
+}
+
+/**
+ * Return a copy of a collection with a collection-level test script that checks every
+ * response's status, headers and body against the OpenAPI spec
+ */
+function addContractTests(collection, spec, specName) {
+    const script = `(${checkContract.toString()})(${JSON.stringify(buildContract(spec))});`;
+    
+    return {
+        ...collection,
+        event: [
+            ...(collection.event || []),
+            {
+                listen: 'test',
+                script: {
+                    exec: [`// Contract tests for ${specName}, added by the test runner`, ...script.split('\n')],
+                    type: 'text/javascript'
+                }
+            }
+        ]
+    };
+}
+
+module.exports = { buildContract, addContractTests };
@@ -0,0 +1,121 @@
+const { scriptSource, requestReferences, scriptReads, scriptWrites, scriptUnsets, walkItems } = require('./variables');
+
+/**
+ * Describe where a variable's current value comes from
+ */
+function describeSource(source) {
+    switch (source.kind) {
+        case 'request':
+            return `request "${source.location}"`;
+        case 'script':
+            return `${source.location} script`;
+        default:
+            return source.kind;
+    }
+}
+
+/**
+ * Follow variable reads and writes through one collection run in execution order.
+ * For each request Newman runs the collection, folder and request pre-request scripts,
+ * sends the request, then runs the collection, folder and request test scripts.
+ *
+ * `environment` is a parsed environment file (or null); `dataColumns` are iteration data columns.
+ * Returns undefined reads, cross-folder dependencies, variables set but never read,
+ * unused collection variables and the set of every variable read.
+ */
+function analyzeCollection(collection, environment, { dataColumns = [] } = {}) {
+    const state = new Map();
+    const written = new Map();
+    const read = new Set();
+    const result = { undefinedReads: [], crossFolder: [], setNeverRead: [], unusedCollectionVariables: [], read };
+    const reported = new Set();
+    
+    (collection.variable || []).forEach(variable => state.set(variable.key, { kind: 'collection variable' }));
+    (environment ? environment.values || [] : [])
+        .filter(value => value.enabled !== false)
+        .forEach(value => state.set(value.key, { kind: 'environment' }));
+    dataColumns.forEach(column => state.set(column, { kind: 'iteration data' }));
+    
+    const readVariables = (names, request, folder, where) => names.forEach(name => {
+        read.add(name);
+        if (written.has(name)) written.get(name).read = true;
+        
+        const key = `${request}\u0000${name}`;
+        if (reported.has(key)) return;
+        
+        const source = state.get(name);
+        if (!source) {
+            reported.add(key);
+            result.undefinedReads.push({ variable: name, request, where });
+        } else if (source.kind === 'request' && source.folder !== folder) {
+            reported.add(key);
+            result.crossFolder.push({ variable: name, request, folder, producer: source.location, producerFolder: source.folder });
+        }
+    });
+    
+    const runScripts = (scopes, listen, request, folder) => scopes.forEach(scope => {
+        const source = scriptSource(scope.node, listen);
+        if (!source.trim()) return;
+        
+        readVariables(scriptReads(source), request, folder, `${scope.label} ${listen} script`);
+        scriptWrites(source).forEach(name => {
+            const producer = scope.label === 'request'
+                ? { kind: 'request', location: request, folder }
+                : { kind: 'script', location: `${scope.label} ${listen}`, folder: null };
+            state.set(name, producer);
+            if (!written.has(name)) written.set(name, { location: describeSource(producer), read: false });
+        });
+        scriptUnsets(source).forEach(name => state.delete(name));
+    });
+    
+    walkItems(collection.item)
+        .filter(entry => !entry.folder)
+        .forEach(entry => {
+            const request = entry.path.join(' / ');
+            const folder = entry.path.slice(0, -1).join(' / ');
+            const scopes = [
+                { node: collection, label: 'collection' },
+                ...entry.parents.map(parent => ({ node: parent, label: `folder "${parent.name}"` })),
+                { node: entry.item, label: 'request' }
+            ];
+            
+            runScripts(scopes, 'prerequest', request, folder);
+            readVariables(requestReferences(entry.item.request), request, folder, 'request');
+            runScripts(scopes, 'test', request, folder);
+        });
+    
+    written.forEach((entry, name) => {
+        if (!entry.read) result.setNeverRead.push({ variable: name, setBy: entry.location });
+    });
+    result.unusedCollectionVariables = (collection.variable || [])
+        .map(variable => variable.key)
+        .filter(name => !read.has(name));
+    
+    return result;
+}
+
+/**
+ * Cross-check collections against environments. Returns one entry per environment with
+ * the per-collection analysis and the environment variables no collection reads.
+ * `environments` is a list of { name, environment } pairs.
+ */
+function analyzeDependencies(collections, environments, options = {}) {
+    return environments.map(({ name, environment }) => {
+        const results = collections.map(({ name: collectionName, collection }) => ({
+            collection: collectionName,
+            ...analyzeCollection(collection, environment, options)
+        }));
+        const read = new Set(results.flatMap(result => [...result.read]));
+        
+        return {
+            environment: name,
+            collections: results.map(({ read: _read, ...rest }) => rest),
+            unusedEnvironmentVariables: (environment.values || [])
+                .filter(value => value.enabled !== false)
+                .map(value => value.key)
+                .filter(key => !read.has(key))
+        };
+    });
+}
+
+module.exports = { analyzeCollection, analyzeDependencies };
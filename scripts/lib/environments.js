@@ -0,0 +1,283 @@
+const fs = require('fs');
+const path = require('path');
+const { isPlaceholder } = require('./secrets');
+
+const ENVIRONMENT_SUFFIX = '.postman_environment.json';
+
+const SCHEMA_FILE = 'environment.schema.json';
+
+const VARIABLE_TYPES = ['string', 'url', 'integer', 'boolean', 'secret'];
+
+const SEVERITY_LEVELS = ['error', 'warning', 'ignore'];
+
+/**
+ * Schema used when environments/ has no environment.schema.json
+ */
+const DEFAULT_SCHEMA = {
+    unknownVariables: 'ignore',
+    consistency: 'warning',
+    variables: {
+        base_url: { type: 'url', required: true, pattern: '^https?://' },
+        username: { type: 'string', recommended: true },
+        password: { type: 'string', recommended: true },
+        api_key: { type: 'string', recommended: true },
+        timeout: { type: 'integer', recommended: true }
+    },
+    overrides: {}
+};
+
+/**
+ * Check a value against a variable type; placeholders resolved at run time are not checked
+ */
+const TYPE_CHECKS = {
+    string: () => true,
+    secret: () => true,
+    url: value => /^[a-z][a-z0-9+.-]*:\/\/\S+$/i.test(value),
+    integer: value => /^-?\d+$/.test(value),
+    boolean: value => value === 'true' || value === 'false'
+};
+
+/**
+ * Get the path of a named environment file
+ */
+function environmentFile(environmentsDir, name) {
+    return path.join(environmentsDir, `${name}${ENVIRONMENT_SUFFIX}`);
+}
+
+/**
+ * Read an environment file as written, without resolving what it extends
+ */
+function readEnvironment(environmentsDir, name) {
+    const file = environmentFile(environmentsDir, name);
+    if (!fs.existsSync(file)) {
+        throw new Error(`Environment not found: ${file}`);
+    }
+    
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to parse environment ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * List environment names in a directory. Abstract environments (bases that others extend)
+ * are left out unless asked for.
+ */
+function listEnvironments(environmentsDir, { includeAbstract = false } = {}) {
+    if (!fs.existsSync(environmentsDir)) return [];
+    
+    return fs.readdirSync(environmentsDir)
+        .filter(file => file.endsWith(ENVIRONMENT_SUFFIX))
+        .map(file => file.slice(0, -ENVIRONMENT_SUFFIX.length))
+        .filter(name => {
+            if (includeAbstract) return true;
+            try {
+                return !readEnvironment(environmentsDir, name).abstract;
+            } catch (error) {
+                // validate:environments reports broken environment files
+                return true;
+            }
+        })
+        .sort();
+}
+
+/**
+ * Merge a child environment over its parent: variables are matched by key, the child's fields win
+ * and variables only the child has are appended
+ */
+function mergeEnvironment(parent, child) {
+    const values = (parent.values || []).map(variable => ({ ...variable }));
+    
+    (child.values || []).forEach(variable => {
+        const index = values.findIndex(existing => existing.key === variable.key);
+        if (index === -1) {
+            values.push({ ...variable });
+        } else {
+            values[index] = { ...values[index], ...variable };
+        }
+    });
+    
+    const merged = { ...child, values };
+    delete merged.extends;
+    delete merged.abstract;
+    if (parent.secretsFrom || child.secretsFrom) {
+        merged.secretsFrom = { ...parent.secretsFrom, ...child.secretsFrom };
+    }
+    // Environments that extend a protected one stay protected unless they say otherwise
+    if (parent.protected !== undefined && child.protected === undefined) {
+        merged.protected = parent.protected;
+    }
+    return merged;
+}
+
+/**
+ * Load an environment with everything it extends merged in, base first.
+ * The result is a plain Postman environment that Newman (or the Postman app) can use as is.
+ */
+function resolveEnvironment(environmentsDir, name, seen = []) {
+    if (seen.includes(name)) {
+        throw new Error(`Environment inheritance cycle: ${[...seen, name].join(' → ')}`);
+    }
+    
+    const environment = readEnvironment(environmentsDir, name);
+    if (!environment.extends) {
+        delete environment.abstract;
+        return environment;
+    }
+    if (typeof environment.extends !== 'string') {
+        throw new Error(`"extends" in ${name} must name another environment`);
+    }
+    
+    return mergeEnvironment(resolveEnvironment(environmentsDir, environment.extends, [...seen, name]), environment);
+}
+
+/**
+ * Load the environment schema, falling back to the built-in default when the file does not exist
+ */
+function loadSchema(file) {
+    if (!file || !fs.existsSync(file)) {
+        return DEFAULT_SCHEMA;
+    }
+    
+    let schema;
+    try {
+        schema = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to parse environment schema ${file}: ${error.message}`);
+    }
+    
+    const problems = [];
+    const checkVariables = (variables, where) => Object.entries(variables || {}).forEach(([key, spec]) => {
+        if (spec.type && !VARIABLE_TYPES.includes(spec.type)) {
+            problems.push(`${where}.${key}.type must be one of ${VARIABLE_TYPES.join(', ')}`);
+        }
+        if (spec.allowed !== undefined && !Array.isArray(spec.allowed)) {
+            problems.push(`${where}.${key}.allowed must be a list`);
+        }
+        if (spec.pattern !== undefined) {
+            try {
+                new RegExp(spec.pattern);
+            } catch (error) {
+                problems.push(`${where}.${key}.pattern is not a valid regular expression`);
+            }
+        }
+    });
+    
+    if (!schema.variables || typeof schema.variables !== 'object') {
+        problems.push('"variables" must map variable keys to their definitions');
+    }
+    checkVariables(schema.variables, 'variables');
+    Object.entries(schema.overrides || {}).forEach(([name, override]) => {
+        checkVariables(override.variables, `overrides.${name}.variables`);
+    });
+    ['unknownVariables', 'consistency'].forEach(setting => {
+        if (schema[setting] !== undefined && !SEVERITY_LEVELS.includes(schema[setting])) {
+            problems.push(`"${setting}" must be one of ${SEVERITY_LEVELS.join(', ')}`);
+        }
+    });
+    
+    if (problems.length > 0) {
+        throw new Error(`Invalid environment schema ${file}:\n  - ${problems.join('\n  - ')}`);
+    }
+    
+    return { ...DEFAULT_SCHEMA, overrides: {}, ...schema };
+}
+
+/**
+ * Get the variable definitions that apply to one environment, with its overrides merged in
+ */
+function schemaVariables(schema, name) {
+    const variables = { ...schema.variables };
+    const override = (schema.overrides || {})[name];
+    
+    Object.entries((override && override.variables) || {}).forEach(([key, spec]) => {
+        variables[key] = { ...variables[key], ...spec };
+    });
+    return variables;
+}
+
+/**
+ * Check a resolved environment against the schema. Returns { errors, warnings }.
+ */
+function checkSchema(environment, schema, name) {
+    const errors = [];
+    const warnings = [];
+    const variables = schemaVariables(schema, name);
+    const values = new Map((environment.values || []).filter(variable => variable.enabled !== false).map(variable => [variable.key, variable]));
+    
+    Object.entries(variables).forEach(([key, spec]) => {
+        const variable = values.get(key);
+        if (!variable) {
+            if (spec.required) errors.push(`Missing required variable: ${key}`);
+            else if (spec.recommended) warnings.push(`Consider adding common variable: ${key}`);
+            return;
+        }
+        
+        const value = variable.value === undefined || variable.value === null ? '' : String(variable.value);
+        if (spec.type === 'secret') {
+            if (variable.type !== 'secret') {
+                errors.push(`${key}: Must have type "secret"`);
+            }
+            if (value && !isPlaceholder(value)) {
+                errors.push(`${key}: Secret has a committed value; use {{$env.NAME}} or "secretsFrom" with an empty value`);
+            }
+            return;
+        }
+        
+        // Values filled in at run time can only be checked then
+        if (value === '' || isPlaceholder(value)) {
+            if (value === '' && spec.required) errors.push(`${key}: Required variable has no value`);
+            return;
+        }
+        
+        if (spec.type && !TYPE_CHECKS[spec.type](value)) {
+            errors.push(`${key}: "${value}" is not a valid ${spec.type}`);
+        }
+        if (spec.allowed && !spec.allowed.map(String).includes(value)) {
+            errors.push(`${key}: "${value}" is not one of ${spec.allowed.join(', ')}`);
+        }
+        if (spec.pattern && !new RegExp(spec.pattern).test(value)) {
+            errors.push(`${key}: "${value}" does not match ${spec.pattern}`);
+        }
+    });
+    
+    if (schema.unknownVariables !== 'ignore') {
+        const unknown = [...values.keys()].filter(key => !variables[key]);
+        const target = schema.unknownVariables === 'error' ? errors : warnings;
+        unknown.forEach(key => target.push(`${key}: Not declared in the environment schema`));
+    }
+    
+    return { errors, warnings };
+}
+
+/**
+ * Find variables that some environments define and others do not.
+ * `environments` is a list of { name, environment } pairs; returns { key, missingIn } entries.
+ */
+function findInconsistencies(environments) {
+    const keysByEnvironment = environments.map(({ name, environment }) => ({
+        name,
+        keys: new Set((environment.values || []).map(variable => variable.key))
+    }));
+    const allKeys = [...new Set(keysByEnvironment.flatMap(entry => [...entry.keys]))];
+    
+    return allKeys
+        .map(key => ({ key, missingIn: keysByEnvironment.filter(entry => !entry.keys.has(key)).map(entry => entry.name) }))
+        .filter(entry => entry.missingIn.length > 0);
+}
+
+module.exports = {
+    ENVIRONMENT_SUFFIX,
+    SCHEMA_FILE,
+    VARIABLE_TYPES,
+    DEFAULT_SCHEMA,
+    environmentFile,
+    readEnvironment,
+    listEnvironments,
+    mergeEnvironment,
+    resolveEnvironment,
+    loadSchema,
+    checkSchema,
+    findInconsistencies
+};
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+/**
+ * Response headers the replay server computes itself; recorded bodies are already decoded
+ */
+const SKIPPED_REPLAY_HEADERS = ['content-length', 'transfer-encoding', 'connection', 'keep-alive', 'content-encoding'];
+
+/**
+ * Convert a postman-collection header or query list into HAR name/value pairs
+ */
+function nameValuePairs(list) {
+    if (!list || typeof list.all !== 'function') return [];
+    return list.all()
+        .filter(entry => !entry.disabled)
+        .map(entry => ({ name: entry.key, value: entry.value === undefined || entry.value === null ? '' : String(entry.value) }));
+}
+
+/**
+ * Describe a body for a HAR entry: text as is, anything that isn't valid UTF-8 as base64
+ */
+function harContent(buffer, mimeType) {
+    const text = buffer.toString('utf8');
+    if (Buffer.from(text, 'utf8').equals(buffer)) {
+        return { size: buffer.length, mimeType, text };
+    }
+    return { size: buffer.length, mimeType, text: buffer.toString('base64'), encoding: 'base64' };
+}
+
+/**
+ * Build a HAR entry from the request and response of a Newman 'request' event.
+ * `meta` ({ request, iteration, attempt }) names the collection request behind it.
+ */
+function harEntry(request, response, meta = {}) {
+    const requestHeaders = nameValuePairs(request.headers);
+    const requestBody = request.body && !request.body.isEmpty() ? request.body.toString() : '';
+    const requestType = requestHeaders.find(header => header.name.toLowerCase() === 'content-type');
+    const responseHeaders = nameValuePairs(response.headers);
+    const responseType = responseHeaders.find(header => header.name.toLowerCase() === 'content-type');
+    const body = response.stream || Buffer.alloc(0);
+    const time = response.responseTime || 0;
+    
+    const entry = {
+        startedDateTime: new Date(Date.now() - time).toISOString(),
+        time,
+        request: {
+            method: request.method,
+            url: request.url.toString(),
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers: requestHeaders,
+            queryString: nameValuePairs(request.url.query),
+            headersSize: -1,
+            bodySize: Buffer.byteLength(requestBody)
+        },
+        response: {
+            status: response.code,
+            statusText: response.status || '',
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers: responseHeaders,
+            content: harContent(body, responseType ? responseType.value : ''),
+            redirectURL: '',
+            headersSize: -1,
+            bodySize: body.length
+        },
+        cache: {},
+        timings: { send: 0, wait: time, receive: 0 },
+        _request: meta.request,
+        _iteration: meta.iteration,
+        _attempt: meta.attempt
+    };
+    
+    if (requestBody) {
+        entry.request.postData = { mimeType: requestType ? requestType.value : '', text: requestBody };
+    }
+    return entry;
+}
+
+/**
+ * Wrap entries in a HAR 1.2 document
+ */
+function createHar(entries, comment) {
+    return {
+        log: {
+            version: '1.2',
+            creator: { name: 'postman-automation-framework', version: '1.0.0' },
+            comment,
+            entries
+        }
+    };
+}
+
+/**
+ * Read a HAR file and return its entries
+ */
+function loadHar(file) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`HAR file not found: ${file}`);
+    }
+    
+    let har;
+    try {
+        har = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to parse HAR file ${file}: ${error.message}`);
+    }
+    if (!har.log || !Array.isArray(har.log.entries)) {
+        throw new Error(`${file} is not a HAR file (no log.entries)`);
+    }
+    
+    return har.log.entries;
+}
+
+/**
+ * Get the key a request is replayed by: method, host and path with query string
+ */
+function replayKey(method, host, pathAndQuery) {
+    return `${method.toUpperCase()} ${host.toLowerCase()}${pathAndQuery}`;
+}
+
+/**
+ * Create a handler that answers requests with recorded responses. Each key's responses are
+ * served in recorded order, so a request sent once per iteration gets each iteration's
+ * response; once they run out, the last one is repeated.
+ */
+function createReplayHandler(entries) {
+    const recorded = new Map();
+    
+    entries.forEach(entry => {
+        const url = new URL(entry.request.url);
+        const key = replayKey(entry.request.method, url.host, `${url.pathname}${url.search}`);
+        if (!recorded.has(key)) recorded.set(key, { responses: [], served: 0 });
+        recorded.get(key).responses.push(entry);
+    });
+    
+    /**
+     * Resolve one request into { status, headers, body, entry }
+     */
+    const handle = ({ method, host, url }) => {
+        const match = recorded.get(replayKey(method, host || '', url));
+        if (!match) {
+            return {
+                status: 404,
+                headers: { 'Content-Type': 'application/json; charset=utf-8' },
+                body: JSON.stringify({ error: `No recorded response for ${method} ${host}${url}` })
+            };
+        }
+        
+        const entry = match.responses[Math.min(match.served, match.responses.length - 1)];
+        match.served++;
+        
+        const headers = {};
+        (entry.response.headers || [])
+            .filter(header => !SKIPPED_REPLAY_HEADERS.includes(header.name.toLowerCase()))
+            .forEach(header => {
+                headers[header.name] = header.value;
+            });
+        const content = entry.response.content || {};
+        const body = Buffer.from(content.text || '', content.encoding === 'base64' ? 'base64' : 'utf8');
+        
+        return { status: entry.response.status, headers, body, entry };
+    };
+    
+    return { size: entries.length, handle };
+}
+
+/**
+ * Create http/https agents that send every connection to a local port instead of the
+ * request's host. Nothing leaves the machine, whatever the collection's URLs are;
+ * https requests arrive as plain HTTP.
+ */
+function createRedirectAgents(port) {
+    const connect = () => net.connect(port, 'localhost');
+    const httpAgent = new http.Agent();
+    const httpsAgent = new https.Agent();
+    httpAgent.createConnection = connect;
+    httpsAgent.createConnection = connect;
+    
+    return { http: httpAgent, https: httpsAgent };
+}
+
+module.exports = { harEntry, createHar, loadHar, createReplayHandler, createRedirectAgents };
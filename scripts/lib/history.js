@@ -0,0 +1,222 @@
+const fs = require('fs');
+const { escapeHtml } = require('./strings');
+
+/**
+ * Build the history record for one collection/environment run.
+ * Assertions are folded across iterations: a test passed only if it passed in every iteration.
+ */
+function createHistoryEntry(result, runId) {
+    const tests = new Map();
+    const requests = new Map();
+    
+    (result.executions || []).forEach(execution => {
+        const request = execution.path.join(' / ');
+        
+        if (!requests.has(request)) {
+            requests.set(request, { request, method: execution.method, times: [] });
+        }
+        if (execution.responseTime !== undefined) {
+            requests.get(request).times.push(execution.responseTime);
+        }
+        
+        execution.assertions.forEach(assertion => {
+            const key = `${request} › ${assertion.name}`;
+            const passed = !assertion.error;
+            tests.set(key, tests.has(key) ? tests.get(key) && passed : passed);
+        });
+    });
+    
+    return {
+        runId,
+        timestamp: new Date().toISOString(),
+        collection: result.collection,
+        environment: result.environment,
+        success: result.success,
+        error: result.error,
+        stats: result.stats,
+        duration: result.timings ? result.timings.duration : undefined,
+        tests: [...tests.entries()].map(([test, passed]) => ({ test, passed })),
+        requests: [...requests.values()].map(({ request, method, times }) => ({
+            request,
+            method,
+            responseTime: times.length > 0 ? Math.round(times.reduce((sum, time) => sum + time, 0) / times.length) : undefined
+        })),
+        flaky: (result.flaky || []).map(entry => entry.request)
+    };
+}
+
+/**
+ * Append run records to the JSON-lines history file
+ */
+function appendHistory(historyPath, entries) {
+    const lines = entries.map(entry => JSON.stringify(entry)).join('\n');
+    fs.appendFileSync(historyPath, lines + '\n');
+}
+
+/**
+ * Read all run records from the history file, skipping lines that fail to parse
+ */
+function loadHistory(historyPath) {
+    if (!fs.existsSync(historyPath)) {
+        return [];
+    }
+    
+    return fs.readFileSync(historyPath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .reduce((entries, line) => {
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                // A partially written line from an interrupted run
+            }
+            return entries;
+        }, []);
+}
+
+/**
+ * Compute trend data from history records:
+ * pass rate per environment per run, slowest requests, newly failing tests
+ * and tests failing `streak` or more runs in a row
+ */
+function analyzeTrends(entries, { streak = 3, limit = 20, slowest = 10 } = {}) {
+    const runIds = [...new Set(entries.map(entry => entry.runId))].slice(-limit);
+    const recent = entries.filter(entry => runIds.includes(entry.runId));
+    
+    // Pass rate per environment per run
+    const passRates = {};
+    recent.forEach(entry => {
+        if (!entry.stats) return;
+        
+        const rates = passRates[entry.environment] = passRates[entry.environment] || [];
+        let point = rates.find(rate => rate.runId === entry.runId);
+        if (!point) {
+            point = { runId: entry.runId, timestamp: entry.timestamp, passed: 0, total: 0 };
+            rates.push(point);
+        }
+        point.total += entry.stats.assertions.total;
+        point.passed += entry.stats.assertions.total - entry.stats.assertions.failed;
+    });
+    Object.values(passRates).forEach(rates => rates.forEach(point => {
+        point.passRate = point.total > 0 ? Math.round((point.passed / point.total) * 1000) / 10 : null;
+    }));
+    
+    // Slowest requests by average response time
+    const timings = new Map();
+    recent.forEach(entry => (entry.requests || []).forEach(request => {
+        if (request.responseTime === undefined) return;
+        
+        const key = `${entry.collection} › ${request.request}`;
+        if (!timings.has(key)) timings.set(key, { collection: entry.collection, request: request.request, times: [] });
+        timings.get(key).times.push(request.responseTime);
+    }));
+    const slowestRequests = [...timings.values()]
+        .map(({ collection, request, times }) => ({
+            collection,
+            request,
+            average: Math.round(times.reduce((sum, time) => sum + time, 0) / times.length),
+            max: Math.max(...times),
+            samples: times.length
+        }))
+        .sort((a, b) => b.average - a.average)
+        .slice(0, slowest);
+    
+    // Per collection/environment test outcomes, oldest first
+    const series = new Map();
+    recent.forEach(entry => {
+        const key = `${entry.collection}|${entry.environment}`;
+        if (!series.has(key)) series.set(key, []);
+        series.get(key).push(entry);
+    });
+    
+    const newlyFailing = [];
+    const failingStreaks = [];
+    series.forEach(runs => {
+        const latest = runs[runs.length - 1];
+        const previous = runs[runs.length - 2];
+        
+        (latest.tests || []).filter(test => !test.passed).forEach(test => {
+            const before = previous && (previous.tests || []).find(candidate => candidate.test === test.test);
+            if (before && before.passed) {
+                newlyFailing.push({ collection: latest.collection, environment: latest.environment, test: test.test });
+            }
+            
+            let count = 0;
+            for (let i = runs.length - 1; i >= 0; i--) {
+                const outcome = (runs[i].tests || []).find(candidate => candidate.test === test.test);
+                if (!outcome || outcome.passed) break;
+                count++;
+            }
+            if (count >= streak) {
+                failingStreaks.push({ collection: latest.collection, environment: latest.environment, test: test.test, runs: count });
+            }
+        });
+    });
+    
+    return {
+        runs: runIds.length,
+        streak,
+        passRates,
+        slowestRequests,
+        newlyFailing,
+        failingStreaks: failingStreaks.sort((a, b) => b.runs - a.runs)
+    };
+}
+
+/**
+ * Render trend data as a standalone HTML page
+ */
+function renderTrendsHtml(trends) {
+    const table = (headers, rows) => rows.length === 0
+        ? '<p class="empty">None</p>'
+        : `<table><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr>${rows.map(row =>
+            `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</table>`;
+    
+    const passRateSections = Object.entries(trends.passRates).map(([environment, rates]) => `
+    <h3>${escapeHtml(environment)}</h3>
+    <div class="bars">${rates.map(rate => `<div class="bar" title="${escapeHtml(rate.timestamp)}: ${rate.passRate}%">
+        <span style="height:${rate.passRate || 0}%" class="${rate.passRate === 100 ? 'pass' : 'fail'}"></span></div>`).join('')}</div>
+    ${table(['Run', 'Passed', 'Total', 'Pass rate'], rates.map(rate => [rate.timestamp, rate.passed, rate.total, `${rate.passRate}%`]))}`).join('');
+    
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>API Test Trends</title>
+<style>
+    body { font-family: -apple-system, Segoe UI, sans-serif; margin: 2em; color: #222; }
+    table { border-collapse: collapse; margin-bottom: 1.5em; }
+    th, td { border: 1px solid #ddd; padding: 4px 10px; text-align: left; }
+    th { background: #f4f4f4; }
+    .bars { display: flex; align-items: flex-end; height: 80px; gap: 3px; margin-bottom: 0.5em; }
+    .bar { width: 14px; height: 100%; display: flex; align-items: flex-end; background: #f4f4f4; }
+    .bar span { width: 100%; display: block; }
+    .pass { background: #2e7d32; }
+    .fail { background: #c62828; }
+    .empty { color: #888; }
+</style>
+</head>
+<body>
+<h1>API Test Trends</h1>
+<p>Last ${trends.runs} run(s)</p>
+<h2>Pass rate per environment</h2>
+${passRateSections || '<p class="empty">No runs recorded</p>'}
+<h2>Slowest requests</h2>
+${table(['Collection', 'Request', 'Average (ms)', 'Max (ms)', 'Samples'],
+        trends.slowestRequests.map(r => [r.collection, r.request, r.average, r.max, r.samples]))}
+<h2>Newly failing tests</h2>
+${table(['Collection', 'Environment', 'Test'], trends.newlyFailing.map(t => [t.collection, t.environment, t.test]))}
+<h2>Failing ${trends.streak}+ runs in a row</h2>
+${table(['Collection', 'Environment', 'Test', 'Runs'], trends.failingStreaks.map(t => [t.collection, t.environment, t.test, t.runs]))}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    createHistoryEntry,
+    appendHistory,
+    loadHistory,
+    analyzeTrends,
+    renderTrendsHtml
+};
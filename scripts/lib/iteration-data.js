@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Longest value shown per column when describing a data row
+ */
+const MAX_VALUE_LENGTH = 30;
+
+/**
+ * Parse CSV text with a header row into one object per row. Handles quoted fields,
+ * escaped quotes ("") and line breaks inside quotes.
+ */
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    
+    const input = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    
+    if (quoted) {
+        throw new Error('Unterminated quoted field');
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+    
+    const rows = records.filter(values => values.some(value => value !== ''));
+    if (rows.length === 0) return [];
+    
+    const [columns, ...data] = rows;
+    return data.map((values, index) => {
+        if (values.length !== columns.length) {
+            throw new Error(`Row ${index + 1} has ${values.length} field(s), expected ${columns.length}`);
+        }
+        return columns.reduce((row, column, position) => {
+            row[column.trim()] = values[position];
+            return row;
+        }, {});
+    });
+}
+
+/**
+ * Load iteration data from a CSV file or a JSON file holding an array of objects
+ */
+function loadIterationData(file) {
+    const content = fs.readFileSync(file, 'utf8');
+    let rows;
+    
+    try {
+        rows = path.extname(file).toLowerCase() === '.csv' ? parseCsv(content) : JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Failed to parse iteration data ${file}: ${error.message}`);
+    }
+    
+    if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+        throw new Error(`Iteration data must be a list of objects: ${file}`);
+    }
+    if (rows.length === 0) {
+        throw new Error(`Iteration data has no rows: ${file}`);
+    }
+    
+    return rows;
+}
+
+/**
+ * Describe the data row used by an iteration, e.g. `row 3 (new_username=jo, new_email=jo@x.io)`.
+ * Iterations past the last row reuse it, as Newman does.
+ */
+function describeRow(rows, iteration) {
+    const index = Math.min(iteration, rows.length - 1);
+    const values = Object.entries(rows[index]).map(([key, value]) => {
+        const text = typeof value === 'string' ? value : JSON.stringify(value);
+        return `${key}=${text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 1)}…` : text}`;
+    });
+    
+    return `row ${index + 1} (${values.join(', ')})`;
+}
+
+module.exports = { parseCsv, loadIterationData, describeRow };
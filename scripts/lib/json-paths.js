@@ -0,0 +1,35 @@
+const { escapeRegExp } = require('./strings');
+
+/**
+ * Convert a path pattern such as `body.items[*].id`, `body.**.updatedAt` or `headers.x-trace`
+ * into a regular expression over dotted JSON paths. `*` matches one key, `[*]` any array index
+ * and `**` any depth.
+ */
+function pathPatternToRegExp(pattern) {
+    const tokens = pattern.match(/\*\*|\[\*\]|\*|[^*[]+|\[/g) || [];
+    const source = tokens.map(token => {
+        if (token === '**') return '.*';
+        if (token === '[*]') return '\\[\\d+\\]';
+        if (token === '*') return '[^.\\[]+';
+        return escapeRegExp(token);
+    }).join('');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Visit every value in a JSON structure with its dotted path (`a.b[0].c`).
+ * Returning false from `visit` skips the value's children.
+ */
+function walkJson(value, visit, path = '', parent = undefined, key = undefined) {
+    if (visit(path, value, parent, key) === false) return;
+    
+    if (Array.isArray(value)) {
+        value.forEach((item, index) => walkJson(item, visit, `${path}[${index}]`, value, index));
+    } else if (value && typeof value === 'object') {
+        Object.keys(value).forEach(childKey => {
+            walkJson(value[childKey], visit, path ? `${path}.${childKey}` : childKey, value, childKey);
+        });
+    }
+}
+
+module.exports = { pathPatternToRegExp, walkJson };
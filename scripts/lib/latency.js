@@ -0,0 +1,123 @@
+const PERCENTILES = ['p50', 'p95', 'p99'];
+
+/**
+ * Budget directives in descriptions: `@budget:800ms` (p95) or `@budget:p99:1200ms`
+ */
+const BUDGET_PATTERN = /@budget:(?:(p50|p95|p99|max):)?(\d+)(?:ms)?\b/g;
+
+/**
+ * Nearest-rank percentile of a list of numbers
+ */
+function percentile(values, p) {
+    if (values.length === 0) return undefined;
+    
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+}
+
+/**
+ * Compute response-time percentiles per request from run executions (in execution order)
+ */
+function computeLatency(executions) {
+    const byRequest = new Map();
+    
+    executions.forEach(execution => {
+        if (execution.responseTime === undefined) return;
+        
+        const key = execution.path.join(' / ');
+        if (!byRequest.has(key)) byRequest.set(key, { request: key, path: execution.path, times: [] });
+        byRequest.get(key).times.push(execution.responseTime);
+    });
+    
+    return [...byRequest.values()].map(({ request, path, times }) => ({
+        request,
+        path,
+        samples: times.length,
+        min: Math.min(...times),
+        p50: percentile(times, 50),
+        p95: percentile(times, 95),
+        p99: percentile(times, 99),
+        max: Math.max(...times)
+    }));
+}
+
+/**
+ * Read the budget directives from a Postman description
+ */
+function parseBudgets(description) {
+    const text = typeof description === 'string' ? description : ((description && description.content) || '');
+    const budgets = {};
+    let match;
+    
+    BUDGET_PATTERN.lastIndex = 0;
+    while ((match = BUDGET_PATTERN.exec(text)) !== null) {
+        budgets[match[1] || 'p95'] = Number(match[2]);
+    }
+    
+    return budgets;
+}
+
+/**
+ * Resolve the budget of every request in a collection.
+ * Description budgets are inherited from enclosing folders; matching config rules
+ * (`collection`, `environment`, `folder`, `request`) override them, most specific last.
+ */
+function resolveBudgets(source, rules = [], { collection, environment }) {
+    const budgets = new Map();
+    const ruleSpecificity = rule => (rule.request ? 4 : 0) + (rule.folder ? 2 : 0) + (rule.collection ? 1 : 0);
+    const applicableRules = rules
+        .filter(rule => !rule.collection || rule.collection === collection)
+        .filter(rule => !rule.environment || rule.environment === environment)
+        .sort((a, b) => ruleSpecificity(a) - ruleSpecificity(b));
+    
+    const walk = (items, parentPath, inherited) => (items || []).forEach(item => {
+        const itemPath = [...parentPath, item.name];
+        const own = { ...inherited, ...parseBudgets(item.description) };
+        
+        if (item.item) {
+            walk(item.item, itemPath, own);
+            return;
+        }
+        
+        const budget = { ...own };
+        applicableRules
+            .filter(rule => !rule.folder || parentPath.includes(rule.folder))
+            .filter(rule => !rule.request || rule.request === item.name || rule.request === itemPath.join(' / '))
+            .forEach(rule => {
+                [...PERCENTILES, 'max'].forEach(key => {
+                    if (rule[key] !== undefined) budget[key] = rule[key];
+                });
+            });
+        
+        if (Object.keys(budget).length > 0) {
+            budgets.set(itemPath.join(' / '), budget);
+        }
+    });
+    
+    walk(source.item, [], parseBudgets(source.info && source.info.description));
+    return budgets;
+}
+
+/**
+ * Attach budgets to latency rows and list every exceeded budget
+ */
+function checkBudgets(latency, budgets) {
+    const violations = [];
+    
+    const rows = latency.map(row => {
+        const budget = budgets.get(row.request);
+        if (!budget) return row;
+        
+        Object.entries(budget).forEach(([metric, limit]) => {
+            if (row[metric] > limit) {
+                violations.push({ request: row.request, metric, budget: limit, actual: row[metric] });
+            }
+        });
+        return { ...row, budget };
+    });
+    
+    return { latency: rows, violations };
+}
+
+module.exports = { PERCENTILES, percentile, computeLatency, parseBudgets, resolveBudgets, checkBudgets };
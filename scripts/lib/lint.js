@@ -0,0 +1,245 @@
+const fs = require('fs');
+const path = require('path');
+const { scriptSource, requestReferences, scriptReads, scriptWrites, walkItems } = require('./variables');
+
+const SEVERITIES = ['error', 'warning', 'info', 'off'];
+
+const BODY_METHODS = ['POST', 'PUT', 'PATCH'];
+
+/**
+ * Get the host part of a request URL, e.g. `https://api.example.com` or `{{base_url}}`
+ */
+function requestHost(request) {
+    const url = typeof request === 'string' ? request : request.url;
+    if (!url) return '';
+    if (typeof url === 'object' && !url.raw) {
+        return [].concat(url.host || []).join('.');
+    }
+    
+    const raw = typeof url === 'string' ? url : url.raw;
+    const match = raw.match(/^([a-z]+:\/\/)?([^/?#]*)/i);
+    return match ? `${match[1] || ''}${match[2]}` : '';
+}
+
+/**
+ * Rules by id: a description, the default severity and a check returning { path, message } findings
+ */
+const RULES = {
+    'request-has-tests': {
+        description: 'Every request has a test script (its own or its folder\'s)',
+        severity: 'error',
+        check: ({ entries }) => entries
+            .filter(entry => !entry.folder)
+            .filter(entry => ![entry.item, ...entry.parents].some(node => scriptSource(node, 'test').trim() !== ''))
+            .map(entry => ({ path: entry.path, message: 'Request has no test script' }))
+    },
+    
+    'no-hardcoded-host': {
+        description: 'Request URLs start with a variable such as {{base_url}} instead of a fixed host',
+        severity: 'error',
+        check: ({ entries }) => entries
+            .filter(entry => !entry.folder && entry.item.request)
+            .map(entry => ({ entry, host: requestHost(entry.item.request) }))
+            .filter(({ host }) => host && !host.includes('{{'))
+            .map(({ entry, host }) => ({ path: entry.path, message: `Hardcoded host "${host}"; use a variable such as {{base_url}}` }))
+    },
+    
+    'no-undefined-variables': {
+        description: 'Variables are defined in an environment or the collection, or set by a script',
+        severity: 'error',
+        check: ({ collection, entries, definedVariables }) => {
+            const defined = new Set(definedVariables);
+            (collection.variable || []).forEach(variable => defined.add(variable.key));
+            [collection, ...entries.map(entry => entry.item)].forEach(node => {
+                scriptWrites(scriptSource(node)).forEach(name => defined.add(name));
+            });
+            
+            const findings = [];
+            const report = (pathNames, names, where) => names
+                .filter(name => !defined.has(name))
+                .forEach(name => findings.push({
+                    path: pathNames,
+                    message: `${where} uses {{${name}}}, which no environment defines and no script sets`
+                }));
+            
+            report([], scriptReads(scriptSource(collection)), 'Collection script');
+            entries.forEach(entry => {
+                if (!entry.folder) report(entry.path, requestReferences(entry.item.request), 'Request');
+                report(entry.path, scriptReads(scriptSource(entry.item)), entry.folder ? 'Folder script' : 'Script');
+            });
+            return findings;
+        }
+    },
+    
+    'content-type-header': {
+        description: 'POST, PUT and PATCH requests with a raw body send a Content-Type header',
+        severity: 'warning',
+        check: ({ entries }) => entries
+            .filter(entry => !entry.folder && typeof entry.item.request === 'object')
+            .filter(entry => {
+                const request = entry.item.request;
+                const body = request.body || {};
+                if (!BODY_METHODS.includes((request.method || '').toUpperCase())) return false;
+                if (body.mode !== 'raw' || !String(body.raw || '').trim()) return false;
+                // Postman derives the header from the raw body's language
+                if (body.options && body.options.raw && body.options.raw.language) return false;
+                return !(request.header || []).some(header => !header.disabled && header.key.toLowerCase() === 'content-type');
+            })
+            .map(entry => ({ path: entry.path, message: `${entry.item.request.method.toUpperCase()} request has a body but no Content-Type header` }))
+    },
+    
+    'no-duplicate-names': {
+        description: 'Names are unique within a folder',
+        severity: 'error',
+        check: ({ collection, entries }) => {
+            const findings = [];
+            const folders = [{ item: collection, path: [] }, ...entries.filter(entry => entry.folder)];
+            
+            folders.forEach(folder => {
+                const seen = new Set();
+                folder.item.item.forEach(child => {
+                    if (seen.has(child.name)) {
+                        findings.push({
+                            path: [...folder.path, child.name],
+                            message: `Duplicate name "${child.name}" in ${folder.path.length > 0 ? `folder "${folder.path.join(' / ')}"` : 'the collection root'}`
+                        });
+                    }
+                    seen.add(child.name);
+                });
+            });
+            return findings;
+        }
+    },
+    
+    'no-console-log': {
+        description: 'Scripts have no leftover console logging',
+        severity: 'warning',
+        check: ({ collection, entries }) => {
+            const findings = [];
+            [{ item: collection, path: [] }, ...entries].forEach(entry => {
+                (entry.item.event || []).forEach(event => {
+                    const exec = event.script && event.script.exec;
+                    const lines = Array.isArray(exec) ? exec : String(exec || '').split('\n');
+                    lines.forEach((line, index) => {
+                        if (/^\s*\/\//.test(line) || !/\bconsole\.(log|info|debug|warn|error)\s*\(/.test(line)) return;
+                        findings.push({ path: entry.path, message: `console call left in ${event.listen} script (line ${index + 1})` });
+                    });
+                });
+            });
+            return findings;
+        }
+    }
+};
+
+/**
+ * Merge configured severities over the rules' defaults
+ */
+function resolveSeverities(overrides = {}) {
+    Object.entries(overrides).forEach(([rule, severity]) => {
+        if (!RULES[rule]) {
+            throw new Error(`Unknown lint rule "${rule}" (available: ${Object.keys(RULES).join(', ')})`);
+        }
+        if (!SEVERITIES.includes(severity)) {
+            throw new Error(`Invalid severity "${severity}" for lint rule "${rule}" (use ${SEVERITIES.join(', ')})`);
+        }
+    });
+    
+    return Object.keys(RULES).reduce((severities, rule) => {
+        severities[rule] = overrides[rule] || RULES[rule].severity;
+        return severities;
+    }, {});
+}
+
+/**
+ * Lint a parsed collection.
+ * `environments` are parsed environment files; their keys count as defined variables.
+ * `variables` lists further names that are defined elsewhere (e.g. iteration data columns).
+ */
+function lintCollection(collection, { environments = [], variables = [], rules = {} } = {}) {
+    const severities = resolveSeverities(rules);
+    const context = {
+        collection,
+        entries: walkItems(collection.item),
+        definedVariables: [...variables, ...environments.flatMap(environment => (environment.values || []).map(value => value.key))]
+    };
+    
+    return Object.entries(RULES)
+        .filter(([rule]) => severities[rule] !== 'off')
+        .flatMap(([rule, definition]) => definition.check(context).map(finding => ({
+            rule,
+            severity: severities[rule],
+            location: finding.path.join(' / ') || '(collection)',
+            path: finding.path,
+            message: finding.message
+        })));
+}
+
+/**
+ * Lint collection files. Returns one { file, findings } entry per file.
+ */
+function lintFiles(files, options = {}) {
+    return files.map(file => {
+        let collection;
+        try {
+            collection = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            return {
+                file,
+                findings: [{ rule: 'parse', severity: 'error', location: '(collection)', path: [], message: `Failed to parse collection: ${error.message}` }]
+            };
+        }
+        return { file, findings: lintCollection(collection, options) };
+    });
+}
+
+/**
+ * Find the line of the item a finding points at, for editors and code scanning
+ */
+function findingLine(lines, finding) {
+    if (finding.path.length === 0) return 1;
+    
+    const name = JSON.stringify(finding.path[finding.path.length - 1]);
+    const index = lines.findIndex(line => line.includes(`"name": ${name}`) || line.includes(`"name":${name}`));
+    return index === -1 ? 1 : index + 1;
+}
+
+/**
+ * Convert lint results into a SARIF 2.1.0 log
+ */
+function toSarif(results, { rootDir = process.cwd() } = {}) {
+    const levels = { error: 'error', warning: 'warning', info: 'note' };
+    
+    return {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'collection-lint',
+                    rules: Object.entries(RULES).map(([id, rule]) => ({
+                        id,
+                        shortDescription: { text: rule.description },
+                        defaultConfiguration: { level: levels[rule.severity] }
+                    }))
+                }
+            },
+            results: results.flatMap(({ file, findings }) => {
+                const lines = fs.existsSync(file) ? fs.readFileSync(file, 'utf8').split('\n') : [];
+                return findings.map(finding => ({
+                    ruleId: finding.rule,
+                    level: levels[finding.severity],
+                    message: { text: `${finding.location}: ${finding.message}` },
+                    locations: [{
+                        physicalLocation: {
+                            artifactLocation: { uri: path.relative(rootDir, file).split(path.sep).join('/') },
+                            region: { startLine: findingLine(lines, finding) }
+                        },
+                        logicalLocations: [{ fullyQualifiedName: finding.location }]
+                    }]
+                }));
+            })
+        }]
+    };
+}
+
+module.exports = { SEVERITIES, RULES, resolveSeverities, lintCollection, lintFiles, toSarif };
@@ -0,0 +1,145 @@
+const { percentile } = require('./latency');
+
+/**
+ * Load settings used when neither the config nor the command line sets them
+ */
+const DEFAULT_LOAD = {
+    users: 5,
+    iterations: 10,
+    rampUp: 0,
+    thresholds: {}
+};
+
+/**
+ * Upper bounds (ms) of the latency histogram buckets; slower responses fall in a final overflow bucket
+ */
+const HISTOGRAM_BUCKETS = [25, 50, 100, 250, 500, 1000, 2500, 5000];
+
+/**
+ * Latency metrics thresholds can limit, per request
+ */
+const LATENCY_METRICS = ['p50', 'p95', 'p99', 'max'];
+
+/**
+ * Parse a duration like `30s`, `2m`, `1500ms` or a plain number of milliseconds
+ */
+function parseDuration(value, name = 'duration') {
+    if (value === undefined || value === null || value === '') return undefined;
+    if (typeof value === 'number' && value >= 0) return value;
+    
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)(ms|s|m|h)?$/);
+    if (!match) {
+        throw new Error(`Invalid ${name} "${value}" (use e.g. 500ms, 30s, 5m)`);
+    }
+    const units = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+    return Math.round(Number(match[1]) * units[match[2] || 'ms']);
+}
+
+/**
+ * Count response times into the histogram buckets
+ */
+function buildHistogram(times) {
+    const buckets = [...HISTOGRAM_BUCKETS.map(le => ({ le, count: 0 })), { le: null, count: 0 }];
+    times.forEach(time => {
+        buckets.find(bucket => bucket.le === null || time <= bucket.le).count++;
+    });
+    return buckets;
+}
+
+/**
+ * Summarise load samples ({ request, responseTime, failed }, one per request sent) over
+ * the elapsed time: overall and per-request throughput, error rate, percentiles and histogram
+ */
+function summarizeLoad(samples, elapsed) {
+    const seconds = Math.max(elapsed, 1) / 1000;
+    const rate = (failed, total) => (total > 0 ? Number(((failed / total) * 100).toFixed(2)) : 0);
+    const byRequest = new Map();
+    
+    samples.forEach(sample => {
+        if (!byRequest.has(sample.request)) byRequest.set(sample.request, []);
+        byRequest.get(sample.request).push(sample);
+    });
+    
+    const requests = [...byRequest.entries()].map(([request, entries]) => {
+        const times = entries.filter(entry => entry.responseTime !== undefined).map(entry => entry.responseTime);
+        const failed = entries.filter(entry => entry.failed).length;
+        
+        return {
+            request,
+            count: entries.length,
+            failed,
+            errorRate: rate(failed, entries.length),
+            throughput: Number((entries.length / seconds).toFixed(2)),
+            min: times.length > 0 ? Math.min(...times) : undefined,
+            p50: percentile(times, 50),
+            p95: percentile(times, 95),
+            p99: percentile(times, 99),
+            max: times.length > 0 ? Math.max(...times) : undefined,
+            histogram: buildHistogram(times)
+        };
+    });
+    
+    const failed = samples.filter(sample => sample.failed).length;
+    return {
+        elapsed,
+        total: samples.length,
+        failed,
+        errorRate: rate(failed, samples.length),
+        throughput: Number((samples.length / seconds).toFixed(2)),
+        requests
+    };
+}
+
+/**
+ * Check a load summary against thresholds. `errorRate` (max %) and `throughput`
+ * (min requests/s) apply to the whole run; `p50`, `p95`, `p99` and `max` (ms) apply to
+ * every request. `requests` maps request paths to their own latency and error-rate limits.
+ * Returns the violations as { request, metric, actual, limit }.
+ */
+function checkLoadThresholds(summary, thresholds = {}) {
+    const violations = [];
+    
+    if (thresholds.errorRate !== undefined && summary.errorRate > Number(thresholds.errorRate)) {
+        violations.push({ request: null, metric: 'errorRate', actual: summary.errorRate, limit: Number(thresholds.errorRate) });
+    }
+    if (thresholds.throughput !== undefined && summary.throughput < Number(thresholds.throughput)) {
+        violations.push({ request: null, metric: 'throughput', actual: summary.throughput, limit: Number(thresholds.throughput) });
+    }
+    
+    summary.requests.forEach(row => {
+        const requestLimits = (thresholds.requests || {})[row.request] || {};
+        
+        LATENCY_METRICS.forEach(metric => {
+            const limit = requestLimits[metric] !== undefined ? requestLimits[metric] : thresholds[metric];
+            if (limit !== undefined && row[metric] !== undefined && row[metric] > Number(limit)) {
+                violations.push({ request: row.request, metric, actual: row[metric], limit: Number(limit) });
+            }
+        });
+        // The overall error rate is checked above; a request only has its own when it sets one
+        if (requestLimits.errorRate !== undefined && row.errorRate > Number(requestLimits.errorRate)) {
+            violations.push({ request: row.request, metric: 'errorRate', actual: row.errorRate, limit: Number(requestLimits.errorRate) });
+        }
+    });
+    
+    return violations;
+}
+
+/**
+ * Describe a threshold violation for console output
+ */
+function formatViolation(violation) {
+    const unit = { errorRate: '%', throughput: ' req/s' }[violation.metric] || 'ms';
+    const comparison = violation.metric === 'throughput' ? 'is below' : 'exceeds';
+    const subject = violation.request ? `${violation.request}: ` : '';
+    return `${subject}${violation.metric} ${violation.actual}${unit} ${comparison} threshold of ${violation.limit}${unit}`;
+}
+
+module.exports = {
+    DEFAULT_LOAD,
+    HISTOGRAM_BUCKETS,
+    parseDuration,
+    buildHistogram,
+    summarizeLoad,
+    checkLoadThresholds,
+    formatViolation
+};
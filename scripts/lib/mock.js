@@ -0,0 +1,293 @@
+/**
+ * Response headers from saved examples that the mock server computes itself
+ */
+const SKIPPED_EXAMPLE_HEADERS = ['content-length', 'transfer-encoding', 'connection', 'content-encoding'];
+
+/**
+ * Check whether a URL path segment is a placeholder (`{{user_id}}` or `:id`)
+ */
+function isParameter(segment) {
+    return /^\{\{.+\}\}$/.test(segment) || segment.startsWith(':');
+}
+
+/**
+ * Check whether a path segment addresses a single resource (a placeholder or a numeric id)
+ */
+function isIdSegment(segment) {
+    return isParameter(segment) || /^\d+$/.test(segment);
+}
+
+/**
+ * Get the path segments of a Postman request URL, without host and query string
+ */
+function urlSegments(url) {
+    if (url && Array.isArray(url.path)) {
+        return url.path.map(segment => (typeof segment === 'string' ? segment : segment.value)).filter(Boolean);
+    }
+    
+    const raw = (typeof url === 'string' ? url : (url && url.raw) || '').split('?')[0];
+    return raw.replace(/^(https?:\/\/)?(\{\{[^}]+\}\}|[^/]+)/, '').split('/').filter(Boolean);
+}
+
+/**
+ * Parse a raw JSON request body; bodies that aren't JSON (or use unquoted variables) yield null
+ */
+function parseJsonBody(raw) {
+    if (typeof raw !== 'string' || raw.trim() === '') return null;
+    
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Flatten a collection into one route per request
+ */
+function collectRoutes(items, routes = []) {
+    (items || []).forEach(item => {
+        if (item.item) {
+            collectRoutes(item.item, routes);
+            return;
+        }
+        if (!item.request) return;
+        
+        const request = typeof item.request === 'string' ? { method: 'GET', url: item.request } : item.request;
+        const segments = urlSegments(request.url);
+        const itemRoute = segments.length > 0 && isIdSegment(segments[segments.length - 1]);
+        
+        routes.push({
+            name: item.name,
+            method: (request.method || 'GET').toUpperCase(),
+            segments,
+            resource: (itemRoute ? segments.slice(0, -1) : segments).join('/'),
+            itemRoute,
+            body: request.body && request.body.mode === 'raw' ? parseJsonBody(request.body.raw) : null,
+            examples: item.response || []
+        });
+    });
+    
+    return routes;
+}
+
+/**
+ * Infer a minimal JSON schema from a sample value
+ */
+function inferSchema(value) {
+    if (Array.isArray(value)) {
+        return { type: 'array', items: value.length > 0 ? inferSchema(value[0]) : {} };
+    }
+    if (value && typeof value === 'object') {
+        const properties = {};
+        Object.entries(value).forEach(([key, child]) => {
+            properties[key] = inferSchema(child);
+        });
+        return { type: 'object', properties };
+    }
+    if (value === null) return { type: 'null' };
+    
+    return { type: typeof value };
+}
+
+/**
+ * Combine two object schemas, keeping every property either one defines
+ */
+function mergeSchemas(a, b) {
+    if (!a) return b;
+    if (a.type !== 'object' || b.type !== 'object') return a;
+    
+    const properties = { ...b.properties };
+    Object.entries(a.properties).forEach(([key, schema]) => {
+        properties[key] = properties[key] ? mergeSchemas(schema, properties[key]) : schema;
+    });
+    return { type: 'object', properties };
+}
+
+/**
+ * Generate a sample value that satisfies a schema
+ */
+function sampleFromSchema(schema, name = 'value') {
+    switch (schema && schema.type) {
+        case 'object':
+            return Object.keys(schema.properties).reduce((sample, key) => {
+                sample[key] = sampleFromSchema(schema.properties[key], key);
+                return sample;
+            }, {});
+        case 'array':
+            return [sampleFromSchema(schema.items, name)];
+        case 'number':
+            return 1;
+        case 'boolean':
+            return true;
+        case 'string':
+            return `sample ${name}`;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Score how well an incoming body matches a route's body template: the number of literal
+ * (non-variable) fields it matches, or -1 when one of them differs
+ */
+function scoreBody(template, body) {
+    if (!template || typeof template !== 'object' || Array.isArray(template)) return 0;
+    
+    let score = 0;
+    for (const [key, expected] of Object.entries(template)) {
+        if (typeof expected === 'string' && /\{\{.+\}\}/.test(expected)) continue;
+        if (expected !== null && typeof expected === 'object') continue;
+        if (!body || JSON.stringify(body[key]) !== JSON.stringify(expected)) return -1;
+        score++;
+    }
+    return score;
+}
+
+/**
+ * Find the route for an incoming request. Requests that share a method and path
+ * (e.g. a valid and an invalid create) are told apart by the literal fields of their bodies.
+ */
+function matchRoute(routes, method, segments, body) {
+    let best = null;
+    let bestScore = -1;
+    
+    routes.forEach(route => {
+        if (route.method !== method || route.segments.length !== segments.length) return;
+        if (!route.segments.every((segment, index) => isParameter(segment) || segment === segments[index])) return;
+        
+        const score = scoreBody(route.body, body);
+        if (score > bestScore) {
+            best = route;
+            bestScore = score;
+        }
+    });
+    
+    return best;
+}
+
+/**
+ * Pick a saved example, honouring Postman's x-mock-response-name / x-mock-response-code headers
+ */
+function pickExample(examples, headers) {
+    const name = headers['x-mock-response-name'];
+    const code = Number(headers['x-mock-response-code']);
+    
+    return (name && examples.find(example => example.name === name)) ||
+        (code && examples.find(example => example.code === code)) ||
+        examples[0];
+}
+
+/**
+ * Turn a saved example into a mock response
+ */
+function exampleResponse(example) {
+    const headers = {};
+    (example.header || []).forEach(header => {
+        if (header.disabled || SKIPPED_EXAMPLE_HEADERS.includes(header.key.toLowerCase())) return;
+        headers[header.key] = header.value;
+    });
+    
+    const body = example.body || '';
+    if (!Object.keys(headers).some(key => key.toLowerCase() === 'content-type') && parseJsonBody(body) !== null) {
+        headers['Content-Type'] = 'application/json; charset=utf-8';
+    }
+    
+    return { status: example.code || 200, headers, body };
+}
+
+/**
+ * Create a request handler that mocks every request of the given collections.
+ * Requests with saved examples get their example; the others get stubs from an in-memory
+ * store, shaped by the JSON bodies the collections send to that resource.
+ */
+function createMockHandler(collections) {
+    const routes = collections.reduce((all, collection) => collectRoutes(collection.item, all), []);
+    const schemas = new Map();
+    const listResources = new Set();
+    const store = new Map();
+    
+    routes.forEach(route => {
+        if (route.body && typeof route.body === 'object' && !Array.isArray(route.body)) {
+            schemas.set(route.resource, mergeSchemas(schemas.get(route.resource), inferSchema(route.body)));
+        }
+        // A path is a list when the collection also addresses its items or creates on it
+        if (route.itemRoute || route.method === 'POST') listResources.add(route.resource);
+    });
+    
+    const itemsOf = resource => {
+        if (!store.has(resource)) store.set(resource, new Map());
+        return store.get(resource);
+    };
+    
+    const stub = (resource, id) => {
+        const sample = sampleFromSchema(schemas.get(resource) || { type: 'object', properties: {} });
+        return id === undefined ? sample : { ...sample, id };
+    };
+    
+    const stubResponse = (route, method, segments, body) => {
+        const fields = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+        const items = itemsOf(route.resource);
+        
+        if (route.itemRoute) {
+            const rawId = segments[segments.length - 1];
+            const id = /^\d+$/.test(rawId) ? Number(rawId) : rawId;
+            const existing = items.get(String(id)) || stub(route.resource, id);
+            
+            if (method === 'DELETE') {
+                items.delete(String(id));
+                return { status: 200, body: {} };
+            }
+            if (method === 'PUT' || method === 'PATCH') {
+                const updated = { ...existing, ...fields, id };
+                items.set(String(id), updated);
+                return { status: 200, body: updated };
+            }
+            return { status: 200, body: existing };
+        }
+        
+        if (method === 'POST') {
+            const ids = [...items.values()].map(item => item.id).filter(Number.isInteger);
+            const created = { ...fields, id: Math.max(0, ...ids) + 1 };
+            items.set(String(created.id), created);
+            return { status: 201, body: created };
+        }
+        if (method === 'GET' && listResources.has(route.resource)) {
+            return { status: 200, body: items.size > 0 ? [...items.values()] : [stub(route.resource, 1)] };
+        }
+        return { status: 200, body: method === 'GET' ? stub(route.resource) : fields };
+    };
+    
+    /**
+     * Resolve one request into { status, headers, body, route }
+     */
+    const handle = ({ method, url, headers = {}, body = '' }) => {
+        const segments = url.split('?')[0].split('/').filter(Boolean).map(decodeURIComponent);
+        const json = parseJsonBody(body);
+        const route = matchRoute(routes, method.toUpperCase(), segments, json);
+        
+        if (!route) {
+            return {
+                status: 404,
+                headers: { 'Content-Type': 'application/json; charset=utf-8' },
+                body: JSON.stringify({ error: `No mocked request for ${method} ${url}` })
+            };
+        }
+        
+        if (route.examples.length > 0) {
+            return { ...exampleResponse(pickExample(route.examples, headers)), route };
+        }
+        
+        const response = stubResponse(route, method.toUpperCase(), segments, json);
+        return {
+            status: response.status,
+            headers: { 'Content-Type': 'application/json; charset=utf-8' },
+            body: JSON.stringify(response.body),
+            route
+        };
+    };
+    
+    return { routes, handle };
+}
+
+module.exports = { urlSegments, collectRoutes, inferSchema, sampleFromSchema, matchRoute, createMockHandler };
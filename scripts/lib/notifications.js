@@ -0,0 +1,296 @@
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const chalk = require('chalk');
+const { loadHistory } = require('./history');
+
+/**
+ * Matrix outcomes a webhook can be notified of. A run that fails is a `failure`; one where
+ * everything passes is a `recovery` when a run that failed last time passes now, else a `success`.
+ */
+const NOTIFY_ON = ['failure', 'recovery', 'success'];
+
+/**
+ * Payload formats: Slack incoming webhooks, Teams connector cards, or the digest as plain JSON
+ */
+const NOTIFICATION_FORMATS = ['slack', 'teams', 'json'];
+
+/**
+ * Sending settings used when the `notifications` block leaves them out
+ */
+const DEFAULT_NOTIFICATIONS = {
+    timeout: 5000,
+    retries: 2,
+    backoff: 1000,
+    maxFailures: 5
+};
+
+/**
+ * Longest assertion message included in a digest
+ */
+const MAX_MESSAGE_LENGTH = 200;
+
+/**
+ * Check the `notifications` config block and fill in defaults
+ */
+function normaliseNotifications(config) {
+    if (!config || typeof config !== 'object' || !Array.isArray(config.webhooks)) {
+        throw new Error('"notifications.webhooks" must be a list');
+    }
+    
+    const webhooks = config.webhooks.map((webhook, index) => {
+        const name = webhook.name || `webhooks[${index}]`;
+        if (!webhook.url && !webhook.urlFrom) {
+            throw new Error(`notifications: ${name} needs a "url" or a "urlFrom" environment variable`);
+        }
+        const format = webhook.format || 'json';
+        if (!NOTIFICATION_FORMATS.includes(format)) {
+            throw new Error(`notifications: ${name} format must be one of ${NOTIFICATION_FORMATS.join(', ')}`);
+        }
+        const on = webhook.on || ['failure', 'recovery'];
+        const unknown = on.filter(event => !NOTIFY_ON.includes(event));
+        if (unknown.length > 0) {
+            throw new Error(`notifications: ${name} has unknown "on" value ${unknown.join(', ')} (use ${NOTIFY_ON.join(', ')})`);
+        }
+        
+        return { ...webhook, name, format, on };
+    });
+    
+    return { ...DEFAULT_NOTIFICATIONS, ...config, webhooks };
+}
+
+/**
+ * Get the URL of the current CI run, when it can be told from the environment (GitHub Actions)
+ */
+function ciRunUrl(env = process.env) {
+    if (!env.GITHUB_SERVER_URL || !env.GITHUB_REPOSITORY || !env.GITHUB_RUN_ID) return undefined;
+    return `${env.GITHUB_SERVER_URL}/${env.GITHUB_REPOSITORY}/actions/runs/${env.GITHUB_RUN_ID}`;
+}
+
+/**
+ * Shorten a message to MAX_MESSAGE_LENGTH characters
+ */
+function truncate(text) {
+    const value = String(text || '').replace(/\s+/g, ' ').trim();
+    return value.length > MAX_MESSAGE_LENGTH ? `${value.slice(0, MAX_MESSAGE_LENGTH - 1)}…` : value;
+}
+
+/**
+ * Build the digest of a matrix run. `previous` maps `collection\0environment` to whether
+ * that run passed last time, to tell recoveries apart.
+ */
+function buildDigest(results, { previous = new Map(), maxFailures = DEFAULT_NOTIFICATIONS.maxFailures, title = 'API Tests', runUrl } = {}) {
+    const failedRuns = results.filter(result => !result.success);
+    const recovered = results.filter(result => result.success && previous.get(`${result.collection}\u0000${result.environment}`) === false);
+    // Name requests by folder path, and iterations when there are several, so same-named requests stay apart
+    const failures = failedRuns.flatMap(result => {
+        const iterations = result.stats ? result.stats.iterations.total : 1;
+        return (result.failures || []).map(failure => ({
+            collection: result.collection,
+            environment: result.environment,
+            request: failure.path ? failure.path.join(' / ') : failure.source,
+            iteration: iterations > 1 && failure.iteration !== undefined ? failure.iteration + 1 : undefined,
+            dataRow: failure.dataRow,
+            assertion: failure.test,
+            message: truncate(failure.message)
+        }));
+    });
+    
+    let status = 'success';
+    if (failedRuns.length > 0) status = 'failure';
+    else if (recovered.length > 0) status = 'recovery';
+    
+    return {
+        status,
+        title,
+        timestamp: new Date().toISOString(),
+        total: results.length,
+        passed: results.length - failedRuns.length,
+        failed: failedRuns.length,
+        failedRuns: failedRuns.map(result => ({
+            collection: result.collection,
+            environment: result.environment,
+            failures: (result.failures || []).length + (result.budgetViolations || []).length,
+            error: result.error ? truncate(result.error) : undefined
+        })),
+        recovered: recovered.map(result => ({ collection: result.collection, environment: result.environment })),
+        failures: failures.slice(0, maxFailures),
+        moreFailures: Math.max(0, failures.length - maxFailures),
+        reports: results
+            .filter(result => result.reportPath || result.jsonReportPath)
+            .map(result => ({
+                collection: result.collection,
+                environment: result.environment,
+                path: path.relative(process.cwd(), result.reportPath || result.jsonReportPath)
+            })),
+        runUrl
+    };
+}
+
+/**
+ * Turn a digest into the lines shared by the chat formats: a headline, then one block per section
+ */
+function digestSections(digest) {
+    const headline = {
+        failure: `❌ ${digest.title}: ${digest.failed} of ${digest.total} run(s) failed`,
+        recovery: `✅ ${digest.title} recovered: all ${digest.total} run(s) passed`,
+        success: `✅ ${digest.title}: all ${digest.total} run(s) passed`
+    }[digest.status];
+    const sections = [];
+    
+    if (digest.failedRuns.length > 0) {
+        sections.push({
+            title: 'Failed environments',
+            lines: digest.failedRuns.map(run => `${run.environment} › ${run.collection}: ${run.error || `${run.failures} failure(s)`}`)
+        });
+    }
+    if (digest.failures.length > 0) {
+        const lines = digest.failures.map(failure => {
+            const iteration = failure.iteration ? ` (iteration ${failure.iteration})` : '';
+            return `${failure.environment} › ${failure.request}${iteration}: ${failure.assertion} - ${failure.message}`;
+        });
+        if (digest.moreFailures > 0) lines.push(`…and ${digest.moreFailures} more`);
+        sections.push({ title: 'Top failing assertions', lines });
+    }
+    if (digest.recovered.length > 0) {
+        sections.push({ title: 'Recovered', lines: digest.recovered.map(run => `${run.environment} › ${run.collection}`) });
+    }
+    if (digest.reports.length > 0) {
+        sections.push({ title: 'Reports', lines: digest.reports.map(report => `${report.environment} › ${report.collection}: ${report.path}`) });
+    }
+    
+    return { headline, sections };
+}
+
+/**
+ * Render a digest as a webhook payload: a Slack message with blocks, a Teams message card or the digest itself
+ */
+function renderPayload(digest, format) {
+    if (format === 'json') {
+        return digest;
+    }
+    
+    const { headline, sections } = digestSections(digest);
+    
+    if (format === 'slack') {
+        const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const blocks = [{ type: 'section', text: { type: 'mrkdwn', text: `*${escape(headline)}*` } }];
+        sections.forEach(section => {
+            blocks.push({
+                type: 'section',
+                text: { type: 'mrkdwn', text: `*${section.title}*\n${section.lines.map(line => `• ${escape(line)}`).join('\n')}` }
+            });
+        });
+        if (digest.runUrl) {
+            blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `<${digest.runUrl}|View run>` }] });
+        }
+        return { text: headline, blocks };
+    }
+    
+    const card = {
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        themeColor: digest.status === 'failure' ? 'C62828' : '2E7D32',
+        summary: headline,
+        title: headline,
+        sections: sections.map(section => ({ title: section.title, text: section.lines.join('\n\n') }))
+    };
+    if (digest.runUrl) {
+        card.potentialAction = [{ '@type': 'OpenUri', name: 'View run', targets: [{ os: 'default', uri: digest.runUrl }] }];
+    }
+    return card;
+}
+
+/**
+ * POST a JSON payload. Rejects on a network error, a timeout or a non-2xx response.
+ */
+function postJson(url, payload, timeout) {
+    return new Promise((resolve, reject) => {
+        const body = JSON.stringify(payload);
+        const client = url.startsWith('https:') ? https : http;
+        const request = client.request(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }
+        }, response => {
+            response.resume();
+            response.on('end', () => {
+                if (response.statusCode >= 200 && response.statusCode < 300) {
+                    resolve(response.statusCode);
+                } else {
+                    reject(new Error(`HTTP ${response.statusCode}`));
+                }
+            });
+        });
+        
+        request.setTimeout(timeout, () => request.destroy(new Error(`timed out after ${timeout}ms`)));
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+/**
+ * POST a payload, retrying failed attempts after `backoff` × attempt ms. Resolves with the
+ * number of attempts made; rejects with the last error once `retries` are used up.
+ */
+async function sendWithRetry(url, payload, { timeout, retries, backoff }) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            await postJson(url, payload, timeout);
+            return attempt;
+        } catch (error) {
+            if (attempt > retries) {
+                error.attempts = attempt;
+                throw error;
+            }
+            await new Promise(resolve => setTimeout(resolve, backoff * attempt));
+        }
+    }
+}
+
+/**
+ * Built-in plugin that posts a digest to the configured webhooks after each matrix run.
+ * Sending never throws, so a broken webhook cannot change a run's outcome.
+ */
+function webhookNotifier(runner, config) {
+    const settings = normaliseNotifications(config);
+    let previous = new Map();
+    
+    // The history file only holds earlier runs until this matrix finishes
+    runner.on('matrix:start', () => {
+        previous = new Map();
+        loadHistory(runner.options.historyPath).forEach(entry => {
+            previous.set(`${entry.collection}\u0000${entry.environment}`, entry.success);
+        });
+    });
+    
+    runner.on('matrix:done', async ({ results }) => {
+        const digest = buildDigest(results, { previous, maxFailures: settings.maxFailures, title: settings.title, runUrl: ciRunUrl() });
+        
+        await Promise.all(settings.webhooks.map(async webhook => {
+            if (!webhook.on.includes(digest.status)) return;
+            
+            const url = webhook.url || process.env[webhook.urlFrom];
+            if (!url) {
+                runner.output.log(chalk.gray(`📣 Skipping ${webhook.name} notification: ${webhook.urlFrom} is not set`));
+                return;
+            }
+            
+            try {
+                const attempts = await sendWithRetry(url, renderPayload(digest, webhook.format), settings);
+                runner.output.log(chalk.gray(`📣 Sent ${digest.status} digest to ${webhook.name}${attempts > 1 ? ` (attempt ${attempts})` : ''}`));
+            } catch (error) {
+                runner.output.error(chalk.yellow(`⚠️  Could not notify ${webhook.name} after ${error.attempts || 1} attempt(s): ${error.message}`));
+            }
+        }));
+    });
+}
+
+module.exports = {
+    NOTIFY_ON,
+    NOTIFICATION_FORMATS,
+    normaliseNotifications,
+    buildDigest,
+    renderPayload,
+    sendWithRetry,
+    webhookNotifier
+};
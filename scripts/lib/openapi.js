@@ -0,0 +1,400 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+
+const COLLECTION_SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * OpenAPI-only schema keywords that JSON Schema validators reject or misread
+ */
+const OPENAPI_ONLY_KEYWORDS = ['example', 'xml', 'externalDocs', 'discriminator', 'nullable', 'readOnly', 'writeOnly', 'deprecated'];
+
+/**
+ * Load an OpenAPI 3 document from a YAML or JSON file
+ */
+function loadSpec(specPath) {
+    const content = fs.readFileSync(specPath, 'utf8');
+    
+    let spec;
+    try {
+        spec = /\.json$/i.test(specPath) ? JSON.parse(content) : yaml.load(content);
+    } catch (error) {
+        throw new Error(`Failed to parse OpenAPI spec ${specPath}: ${error.message}`);
+    }
+    
+    if (!spec || typeof spec.openapi !== 'string' || !spec.openapi.startsWith('3.')) {
+        throw new Error(`Not an OpenAPI 3 document: ${specPath}`);
+    }
+    if (!spec.paths || typeof spec.paths !== 'object') {
+        throw new Error(`OpenAPI spec has no paths: ${specPath}`);
+    }
+    
+    return spec;
+}
+
+/**
+ * Look up a local reference such as `#/components/schemas/Pet`
+ */
+function resolveRef(spec, ref) {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Only local $refs are supported: ${ref}`);
+    }
+    
+    const target = ref.slice(2).split('/')
+        .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((node, part) => (node === undefined ? undefined : node[part]), spec);
+    
+    if (target === undefined) {
+        throw new Error(`Unresolved $ref: ${ref}`);
+    }
+    return target;
+}
+
+/**
+ * Follow a $ref (if any) to the object it points at
+ */
+function deref(spec, node) {
+    let current = node;
+    const seen = new Set();
+    
+    while (current && current.$ref) {
+        if (seen.has(current.$ref)) throw new Error(`Circular $ref: ${current.$ref}`);
+        seen.add(current.$ref);
+        current = resolveRef(spec, current.$ref);
+    }
+    return current;
+}
+
+/**
+ * Inline every $ref of a schema and turn OpenAPI's dialect into plain JSON Schema.
+ * Recursive references are cut off and accept any value.
+ */
+function toJsonSchema(spec, schema, refs = []) {
+    if (!schema || typeof schema !== 'object') return schema;
+    if (Array.isArray(schema)) return schema.map(entry => toJsonSchema(spec, entry, refs));
+    
+    if (schema.$ref) {
+        if (refs.includes(schema.$ref)) return {};
+        return toJsonSchema(spec, resolveRef(spec, schema.$ref), [...refs, schema.$ref]);
+    }
+    
+    const result = {};
+    Object.entries(schema).forEach(([key, value]) => {
+        if (OPENAPI_ONLY_KEYWORDS.includes(key)) return;
+        
+        if (key === 'properties' || key === 'patternProperties') {
+            result[key] = {};
+            Object.entries(value).forEach(([name, property]) => {
+                result[key][name] = toJsonSchema(spec, property, refs);
+            });
+        } else {
+            result[key] = typeof value === 'object' ? toJsonSchema(spec, value, refs) : value;
+        }
+    });
+    
+    if (schema.nullable && result.type) {
+        result.type = [].concat(result.type, 'null');
+    }
+    
+    return result;
+}
+
+/**
+ * Build an example value from a schema, preferring documented examples and defaults
+ */
+function sampleFromSchema(spec, schema, refs = []) {
+    if (!schema) return null;
+    
+    if (schema.$ref) {
+        if (refs.includes(schema.$ref)) return null;
+        return sampleFromSchema(spec, resolveRef(spec, schema.$ref), [...refs, schema.$ref]);
+    }
+    
+    if (schema.example !== undefined) return schema.example;
+    if (schema.default !== undefined) return schema.default;
+    if (schema.enum && schema.enum.length > 0) return schema.enum[0];
+    
+    if (schema.allOf) {
+        return schema.allOf.reduce((sample, part) => {
+            const value = sampleFromSchema(spec, part, refs);
+            return value && typeof value === 'object' && !Array.isArray(value) ? { ...sample, ...value } : sample;
+        }, {});
+    }
+    if (schema.oneOf || schema.anyOf) {
+        return sampleFromSchema(spec, (schema.oneOf || schema.anyOf)[0], refs);
+    }
+    
+    const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+    switch (type || (schema.properties ? 'object' : undefined)) {
+        case 'object':
+            // Made-up values like "string" would be sent as real data, so only documented ones are filled in
+            return Object.entries(schema.properties || {}).reduce((sample, [name, property]) => {
+                const resolved = deref(spec, property) || {};
+                const documented = resolved.example !== undefined || resolved.default !== undefined;
+                if (resolved.readOnly) return sample;
+                
+                if (documented || (schema.required || []).includes(name)) {
+                    sample[name] = !documented && resolved.nullable ? null : sampleFromSchema(spec, property, refs);
+                }
+                return sample;
+            }, {});
+        case 'array':
+            return [sampleFromSchema(spec, schema.items, refs)];
+        case 'integer':
+            return schema.minimum !== undefined ? schema.minimum : 1;
+        case 'number':
+            return schema.minimum !== undefined ? schema.minimum : 1.5;
+        case 'boolean':
+            return true;
+        case 'string':
+            return sampleString(schema.format);
+        default:
+            return null;
+    }
+}
+
+/**
+ * Example value for a string of a given format
+ */
+function sampleString(format) {
+    switch (format) {
+        case 'date':
+            return '2024-01-15';
+        case 'date-time':
+            return '2024-01-15T10:00:00Z';
+        case 'email':
+            return 'user@example.com';
+        case 'uuid':
+            return '3fa85f64-5717-4562-b3fc-2c963f66afa6';
+        case 'uri':
+        case 'url':
+            return 'https://example.com';
+        default:
+            return 'string';
+    }
+}
+
+/**
+ * Get the example of a parameter or media type: `example`, the first of `examples`, or one from its schema
+ */
+function exampleOf(spec, node) {
+    if (node.example !== undefined) return node.example;
+    
+    const examples = Object.values(node.examples || {});
+    if (examples.length > 0) {
+        const example = deref(spec, examples[0]);
+        if (example && example.value !== undefined) return example.value;
+    }
+    
+    return sampleFromSchema(spec, node.schema);
+}
+
+/**
+ * Pick the JSON media type of a content map, if it has one
+ */
+function jsonContent(content) {
+    const type = Object.keys(content || {}).find(name => /^application\/(.+\+)?json/.test(name));
+    return type ? { type, media: content[type] } : null;
+}
+
+/**
+ * Format a parameter example for use in a URL or header
+ */
+function parameterValue(value) {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Build the Postman request of an operation
+ */
+function buildRequest(spec, pathName, method, operation, parameters) {
+    const header = [];
+    const query = [];
+    const variable = [];
+    
+    parameters.forEach(parameter => {
+        const value = parameterValue(exampleOf(spec, parameter));
+        const description = parameter.description;
+        
+        if (parameter.in === 'path') {
+            variable.push({ key: parameter.name, value, ...(description ? { description } : {}) });
+        } else if (parameter.in === 'query') {
+            query.push({ key: parameter.name, value, ...(description ? { description } : {}), ...(parameter.required ? {} : { disabled: true }) });
+        } else if (parameter.in === 'header') {
+            header.push({ key: parameter.name, value, ...(description ? { description } : {}) });
+        }
+    });
+    
+    securityHeaders(spec, operation).forEach(entry => header.push(entry));
+    
+    const request = { method: method.toUpperCase(), header };
+    
+    const requestBody = deref(spec, operation.requestBody);
+    const content = requestBody && jsonContent(requestBody.content);
+    if (content) {
+        header.push({ key: 'Content-Type', value: content.type });
+        request.body = {
+            mode: 'raw',
+            raw: JSON.stringify(exampleOf(spec, content.media), null, 4),
+            options: { raw: { language: 'json' } }
+        };
+    }
+    
+    // OpenAPI's {petId} becomes Postman's :petId path variable
+    const path = pathName.split('/').filter(Boolean).map(segment => segment.replace(/^\{(.+)\}$/, ':$1'));
+    const queryString = query.filter(entry => !entry.disabled).map(entry => `${entry.key}=${entry.value}`).join('&');
+    
+    request.url = {
+        raw: `{{base_url}}/${path.join('/')}${queryString ? `?${queryString}` : ''}`,
+        host: ['{{base_url}}'],
+        path
+    };
+    if (query.length > 0) request.url.query = query;
+    if (variable.length > 0) request.url.variable = variable;
+    
+    return request;
+}
+
+/**
+ * Headers for the operation's security requirements, using the environments' auth_token and api_key
+ */
+function securityHeaders(spec, operation) {
+    const requirements = operation.security || spec.security || [];
+    const schemes = (spec.components && spec.components.securitySchemes) || {};
+    const headers = [];
+    
+    requirements.slice(0, 1).forEach(requirement => {
+        Object.keys(requirement).forEach(name => {
+            const scheme = deref(spec, schemes[name]);
+            if (!scheme) return;
+            
+            if ((scheme.type === 'http' && scheme.scheme === 'bearer') || scheme.type === 'oauth2' || scheme.type === 'openIdConnect') {
+                headers.push({ key: 'Authorization', value: 'Bearer {{auth_token}}' });
+            } else if (scheme.type === 'apiKey' && scheme.in === 'header') {
+                headers.push({ key: scheme.name, value: '{{api_key}}' });
+            }
+        });
+    });
+    
+    return headers;
+}
+
+/**
+ * Generate the test script of an operation: a documented status code check and a
+ * JSON schema check against the response schema of the received status code
+ */
+function buildTests(spec, operation) {
+    const responses = operation.responses || {};
+    const codes = Object.keys(responses).filter(code => /^\d{3}$/.test(code)).map(Number);
+    const ranges = Object.keys(responses).filter(code => /^\dXX$/i.test(code)).map(code => Number(code[0]));
+    const exec = [];
+    
+    if (codes.length > 0 && ranges.length === 0 && !responses.default) {
+        exec.push(
+            `pm.test("Status code is documented (${codes.join(', ')})", function () {`,
+            `    pm.expect(pm.response.code).to.be.oneOf([${codes.join(', ')}]);`,
+            '});'
+        );
+    } else if (codes.length > 0 || ranges.length > 0) {
+        const success = codes.filter(code => code < 400);
+        exec.push(
+            'pm.test("Status code is documented", function () {',
+            `    var codes = [${(success.length > 0 ? success : codes).join(', ')}];`,
+            `    var ranges = [${ranges.join(', ')}];`,
+            '    pm.expect(codes.includes(pm.response.code) || ranges.includes(Math.floor(pm.response.code / 100))).to.be.true;',
+            '});'
+        );
+    }
+    
+    const schemas = {};
+    Object.entries(responses).forEach(([code, response]) => {
+        const content = jsonContent((deref(spec, response) || {}).content);
+        if (content && content.media.schema) {
+            schemas[code.toUpperCase()] = toJsonSchema(spec, content.media.schema);
+        }
+    });
+    
+    if (Object.keys(schemas).length > 0) {
+        if (exec.length > 0) exec.push('');
+        exec.push(
+            'pm.test("Response matches schema", function () {',
+            `    var schemas = ${JSON.stringify(schemas)};`,
+            '    var code = String(pm.response.code);',
+            '    var schema = schemas[code] || schemas[code[0] + "XX"] || schemas["DEFAULT"];',
+            '    if (!schema) return;',
+            '    pm.response.to.have.jsonSchema(schema);',
+            '});'
+        );
+    }
+    
+    return exec;
+}
+
+/**
+ * Merge path-level and operation-level parameters; the operation's win
+ */
+function operationParameters(spec, pathItem, operation) {
+    const byKey = new Map();
+    [...(pathItem.parameters || []), ...(operation.parameters || [])].forEach(entry => {
+        const parameter = deref(spec, entry);
+        byKey.set(`${parameter.in}:${parameter.name}`, parameter);
+    });
+    return [...byKey.values()];
+}
+
+/**
+ * Convert an OpenAPI 3 document into a Postman v2.1 collection: one folder per tag and
+ * one request with generated tests per operation
+ */
+function buildCollection(spec, options = {}) {
+    const folders = new Map();
+    const rootItems = [];
+    
+    (spec.tags || []).forEach(tag => {
+        folders.set(tag.name, { name: tag.name, ...(tag.description ? { description: tag.description } : {}), item: [] });
+    });
+    
+    Object.entries(spec.paths).forEach(([pathName, pathEntry]) => {
+        const pathItem = deref(spec, pathEntry);
+        
+        HTTP_METHODS.filter(method => pathItem[method]).forEach(method => {
+            const operation = pathItem[method];
+            const tests = buildTests(spec, operation);
+            const item = {
+                name: operation.summary || operation.operationId || `${method.toUpperCase()} ${pathName}`,
+                ...(operation.description ? { description: operation.description } : {}),
+                event: tests.length > 0 ? [{ listen: 'test', script: { exec: tests, type: 'text/javascript' } }] : [],
+                request: buildRequest(spec, pathName, method, operation, operationParameters(spec, pathItem, operation)),
+                response: []
+            };
+            
+            const tag = (operation.tags || [])[0];
+            if (!tag) {
+                rootItems.push(item);
+                return;
+            }
+            if (!folders.has(tag)) folders.set(tag, { name: tag, item: [] });
+            folders.get(tag).item.push(item);
+        });
+    });
+    
+    const server = (spec.servers || [])[0];
+    const info = spec.info || {};
+    
+    return {
+        info: {
+            _postman_id: crypto.randomUUID(),
+            name: options.name || info.title || 'Imported API',
+            ...(info.description ? { description: info.description } : {}),
+            schema: COLLECTION_SCHEMA
+        },
+        item: [...[...folders.values()].filter(folder => folder.item.length > 0), ...rootItems],
+        // Environments override this; it only applies when a run has no base_url
+        variable: server && server.url ? [{ key: 'base_url', value: server.url.replace(/\/$/, ''), type: 'string' }] : []
+    };
+}
+
+module.exports = { loadSpec, toJsonSchema, sampleFromSchema, buildCollection };
@@ -0,0 +1,52 @@
+const path = require('path');
+
+/**
+ * Lifecycle events TestRunner emits, in the order they fire
+ */
+const RUNNER_EVENTS = ['matrix:start', 'run:start', 'request:done', 'assertion:failed', 'run:done', 'matrix:done'];
+
+/**
+ * Normalise a plugin entry: a module path, a function, or { path, options }
+ */
+function normalisePlugin(entry, index) {
+    if (typeof entry === 'string' || typeof entry === 'function') {
+        return { source: entry, options: {} };
+    }
+    if (entry && typeof entry === 'object' && (typeof entry.path === 'string' || typeof entry.plugin === 'function')) {
+        return { source: entry.plugin || entry.path, options: entry.options || {} };
+    }
+    throw new Error(`plugins[${index}] must be a module path or { "path": ..., "options": {...} }`);
+}
+
+/**
+ * Load plugins. Relative paths are resolved against `baseDir` (the config file's directory);
+ * other names are required like any package. A plugin module exports `function (runner, options)`.
+ */
+function loadPlugins(entries, baseDir) {
+    if (entries === undefined) return [];
+    if (!Array.isArray(entries)) {
+        throw new Error('"plugins" must be a list');
+    }
+    
+    return entries.map((entry, index) => {
+        const { source, options } = normalisePlugin(entry, index);
+        if (typeof source === 'function') {
+            return { name: source.name || `plugins[${index}]`, register: source, options };
+        }
+        
+        const request = source.startsWith('.') || path.isAbsolute(source) ? path.resolve(baseDir, source) : source;
+        let register;
+        try {
+            register = require(request);
+        } catch (error) {
+            throw new Error(`Failed to load plugin ${source}: ${error.message}`);
+        }
+        if (typeof register !== 'function') {
+            throw new Error(`Plugin ${source} must export a function (runner, options)`);
+        }
+        
+        return { name: source, register, options };
+    });
+}
+
+module.exports = { RUNNER_EVENTS, loadPlugins };
@@ -0,0 +1,110 @@
+const { scriptSource, requestReferences, scriptReads, scriptWrites, walkItems } = require('./variables');
+const { globToRegExp } = require('./strings');
+
+/**
+ * HTTP methods that change data and are held back on protected environments
+ */
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * What happens to mutating requests on a protected environment:
+ * `skip` runs the rest of the collection, `refuse` fails the run before anything is sent
+ */
+const PROTECTION_MODES = ['skip', 'refuse'];
+
+/**
+ * Read the protection settings of a resolved environment. `"protected": true` skips every
+ * mutating request; `{ "mutations": "skip" | "refuse", "allow": [...] }` picks the mode and
+ * allow-lists requests by path ("Folder / Request", `*` wildcards allowed).
+ * Returns null for environments that are not protected.
+ */
+function protectionPolicy(environment, name) {
+    const setting = environment.protected;
+    if (setting === undefined || setting === false) return null;
+    if (setting === true) return { mode: 'skip', allow: [] };
+    
+    if (typeof setting !== 'object' || Array.isArray(setting)) {
+        throw new Error(`"protected" in ${name} must be true or { "mutations": ..., "allow": [...] }`);
+    }
+    const mode = setting.mutations || 'skip';
+    if (!PROTECTION_MODES.includes(mode)) {
+        throw new Error(`"protected.mutations" in ${name} must be one of ${PROTECTION_MODES.join(', ')}`);
+    }
+    if (setting.allow !== undefined && !Array.isArray(setting.allow)) {
+        throw new Error(`"protected.allow" in ${name} must be a list of request paths`);
+    }
+    
+    return { mode, allow: setting.allow || [] };
+}
+
+/**
+ * Return a copy of the collection without the mutating requests a protected environment
+ * does not allow, the requests held back as { request, method, reason }, the mutating
+ * requests that will still be sent because they are allow-listed and how many requests
+ * are left to run.
+ * Requests that read a variable only a held-back request sets are held back too, since
+ * they would fail for a reason that has nothing to do with the API. Folders left without
+ * requests are dropped. With `folders` (names or ids, as Newman's --folder takes them)
+ * only requests inside those are considered; Newman does not run the others.
+ */
+function guardCollection(collection, policy, name, folders = []) {
+    const allowed = policy.allow.map(globToRegExp);
+    const skipped = new Map();
+    const mutating = [];
+    // Variables whose value would have come from a skipped request, and which request that was
+    const missing = new Map();
+    const selected = ({ item, parents }) => folders.length === 0
+        || [...parents, item].some(node => folders.includes(node.name) || (node.id && folders.includes(node.id)));
+    let runnable = 0;
+    
+    walkItems(collection.item)
+        .filter(entry => !entry.folder && selected(entry))
+        .forEach(({ item, path }) => {
+            const request = path.join(' / ');
+            const method = ((item.request && item.request.method) || 'GET').toUpperCase();
+            const scripts = scriptSource(item);
+            const writes = scriptWrites(scripts);
+            
+            let reason = null;
+            if (MUTATING_METHODS.includes(method) && !allowed.some(pattern => pattern.test(request))) {
+                reason = `not allow-listed on protected environment ${name}`;
+            } else {
+                const needed = [...requestReferences(item.request), ...scriptReads(scripts)].find(variable => missing.has(variable));
+                if (needed) reason = `needs {{${needed}}}, which skipped request ${missing.get(needed)} sets`;
+            }
+            
+            if (reason) {
+                skipped.set(request, { request, method, reason });
+                writes.forEach(variable => {
+                    if (!missing.has(variable)) missing.set(variable, request);
+                });
+            } else {
+                writes.forEach(variable => missing.delete(variable));
+                if (MUTATING_METHODS.includes(method)) mutating.push(`${method} ${request}`);
+                runnable++;
+            }
+        });
+    
+    const filterItems = (items, parentPath) => items.reduce((kept, item) => {
+        const itemPath = parentPath ? `${parentPath} / ${item.name}` : item.name;
+        
+        if (item.item) {
+            const children = filterItems(item.item, itemPath);
+            if (children.length > 0) {
+                kept.push({ ...item, item: children });
+            }
+        } else if (!skipped.has(itemPath)) {
+            kept.push(item);
+        }
+        return kept;
+    }, []);
+    
+    return {
+        collection: { ...collection, item: filterItems(collection.item || [], '') },
+        skipped: [...skipped.values()],
+        mutating,
+        runnable
+    };
+}
+
+module.exports = { MUTATING_METHODS, PROTECTION_MODES, protectionPolicy, guardCollection };
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const { pathPatternToRegExp, walkJson } = require('./json-paths');
+const { escapeRegExp } = require('./strings');
+
+const DEFAULT_REDACTION = {
+    mask: '[REDACTED]',
+    headers: ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key'],
+    variables: ['auth_token'],
+    paths: []
+};
+
+/**
+ * Shorter values are not masked, so short secrets don't mangle unrelated text
+ */
+const MIN_SECRET_LENGTH = 4;
+
+/**
+ * Create a redactor that masks every occurrence of the given secret values,
+ * including their JSON-escaped, HTML-escaped and URL-encoded forms
+ */
+function createRedactor(values = [], mask = DEFAULT_REDACTION.mask) {
+    const secrets = new Set();
+    let pattern = null;
+    
+    const rebuild = () => {
+        const forms = new Set();
+        secrets.forEach(secret => {
+            forms.add(secret);
+            forms.add(JSON.stringify(secret).slice(1, -1));
+            forms.add(secret.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'));
+            forms.add(encodeURIComponent(secret));
+        });
+        
+        // Longest first, so a secret that contains another is masked whole
+        const sorted = [...forms].sort((a, b) => b.length - a.length);
+        pattern = sorted.length > 0 ? new RegExp(sorted.map(escapeRegExp).join('|'), 'g') : null;
+    };
+    
+    const redactor = {
+        mask,
+        
+        add(value) {
+            if (typeof value !== 'string') value = value === undefined || value === null ? '' : String(value);
+            if (value.length < MIN_SECRET_LENGTH || secrets.has(value)) return;
+            
+            secrets.add(value);
+            rebuild();
+        },
+        
+        get size() {
+            return secrets.size;
+        },
+        
+        redactText(text) {
+            return pattern && typeof text === 'string' ? text.replace(pattern, mask) : text;
+        },
+        
+        redactValue(value) {
+            if (typeof value === 'string') return redactor.redactText(value);
+            if (Array.isArray(value)) return value.map(redactor.redactValue);
+            if (value && typeof value === 'object') {
+                return Object.keys(value).reduce((redacted, key) => {
+                    redacted[key] = redactor.redactValue(value[key]);
+                    return redacted;
+                }, {});
+            }
+            return value;
+        }
+    };
+    
+    values.forEach(redactor.add);
+    return redactor;
+}
+
+/**
+ * Mask sensitive headers and configured JSON paths in a parsed report, in place.
+ * Masked values are added to the redactor so they are also removed from other reports.
+ */
+function redactJson(report, redactor, { headers = [], paths = [] } = {}) {
+    const headerNames = headers.map(name => name.toLowerCase());
+    const patterns = paths.map(pathPatternToRegExp);
+    
+    walkJson(report, (path, value, parent, key) => {
+        // Postman header objects: { key: 'Authorization', value: '...' }; HAR uses { name, value }
+        const name = value && typeof value === 'object' ? (typeof value.key === 'string' ? value.key : value.name) : undefined;
+        if (typeof name === 'string' && headerNames.includes(name.toLowerCase()) && value.value !== undefined) {
+            redactor.add(value.value);
+            value.value = redactor.mask;
+            return false;
+        }
+        
+        if (parent !== undefined && patterns.some(pattern => pattern.test(path))) {
+            walkJson(value, (childPath, child) => {
+                if (typeof child === 'string' || typeof child === 'number') redactor.add(String(child));
+            });
+            parent[key] = redactor.mask;
+            return false;
+        }
+        
+        return true;
+    });
+    
+    return report;
+}
+
+/**
+ * Redact a report file in place. JSON and HAR files get structural header/path masking first.
+ */
+function redactFile(file, redactor, options = {}) {
+    if (!fs.existsSync(file)) return;
+    
+    let content = fs.readFileSync(file, 'utf8');
+    
+    if (file.endsWith('.json') || file.endsWith('.har')) {
+        try {
+            content = JSON.stringify(redactJson(JSON.parse(content), redactor, options), null, 2);
+        } catch (error) {
+            // Not valid JSON; fall back to plain text masking
+        }
+    }
+    
+    fs.writeFileSync(file, redactor.redactText(content));
+}
+
+/**
+ * Mask secrets in everything written to stdout until the returned function is called
+ */
+function redactStdout(redactor) {
+    const write = process.stdout.write;
+    
+    process.stdout.write = function (chunk, ...args) {
+        const text = typeof chunk === 'string' ? chunk : chunk.toString();
+        return write.call(process.stdout, redactor.redactText(text), ...args);
+    };
+    
+    return () => {
+        process.stdout.write = write;
+    };
+}
+
+module.exports = { DEFAULT_REDACTION, createRedactor, redactJson, redactFile, redactStdout };
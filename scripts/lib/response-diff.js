@@ -0,0 +1,156 @@
+const { pathPatternToRegExp } = require('./json-paths');
+
+/**
+ * Response headers that legitimately differ between environments and runs
+ */
+const DEFAULT_IGNORED_HEADERS = [
+    'date',
+    'etag',
+    'age',
+    'expires',
+    'last-modified',
+    'content-length',
+    'set-cookie',
+    'x-request-id',
+    'x-correlation-id',
+    'cf-ray',
+    'report-to',
+    'nel',
+    'via',
+    'server-timing',
+    'x-ratelimit-remaining',
+    'x-ratelimit-reset'
+];
+
+/**
+ * Describe the type of a JSON value
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Walk two JSON values side by side and collect differences.
+ * With `compareValues` off only structure (keys and types) is compared;
+ * array elements are then compared against each other up to the shorter length.
+ */
+function diffValues(left, right, path, { compareValues, isIgnored }, differences) {
+    if (isIgnored(path)) return;
+    
+    const leftType = typeOf(left);
+    const rightType = typeOf(right);
+    
+    if (leftType !== rightType) {
+        differences.push({ path, kind: 'type', left: leftType, right: rightType });
+        return;
+    }
+    
+    if (leftType === 'object') {
+        const keys = new Set([...Object.keys(left), ...Object.keys(right)]);
+        keys.forEach(key => {
+            const childPath = `${path}.${key}`;
+            if (isIgnored(childPath)) return;
+            
+            if (!(key in right)) {
+                differences.push({ path: childPath, kind: 'missing', left: typeOf(left[key]) });
+            } else if (!(key in left)) {
+                differences.push({ path: childPath, kind: 'added', right: typeOf(right[key]) });
+            } else {
+                diffValues(left[key], right[key], childPath, { compareValues, isIgnored }, differences);
+            }
+        });
+        return;
+    }
+    
+    if (leftType === 'array') {
+        if (compareValues && left.length !== right.length) {
+            differences.push({ path: `${path}.length`, kind: 'value', left: left.length, right: right.length });
+        }
+        const length = Math.min(left.length, right.length);
+        for (let i = 0; i < length; i++) {
+            diffValues(left[i], right[i], `${path}[${i}]`, { compareValues, isIgnored }, differences);
+        }
+        return;
+    }
+    
+    if (compareValues && left !== right) {
+        differences.push({ path, kind: 'value', left, right });
+    }
+}
+
+/**
+ * Parse a captured response body as JSON, falling back to its text
+ */
+function parseBody(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+/**
+ * Compare two captured responses (status, headers and body)
+ */
+function diffResponses(reference, other, options = {}) {
+    const ignore = (options.ignore || []).map(pathPatternToRegExp);
+    const ignoredHeaders = [...DEFAULT_IGNORED_HEADERS, ...(options.ignoreHeaders || [])].map(h => h.toLowerCase());
+    const isIgnored = path => ignore.some(pattern => pattern.test(path));
+    const differences = [];
+    
+    if (reference.code !== other.code && !isIgnored('status')) {
+        differences.push({ path: 'status', kind: 'value', left: reference.code, right: other.code });
+    }
+    
+    // Header names are compared for presence; values only for content-type, since most vary per host
+    const headers = (response) => Object.keys(response.headers)
+        .filter(name => !ignoredHeaders.includes(name))
+        .reduce((picked, name) => ({ ...picked, [name]: name === 'content-type' ? response.headers[name] : true }), {});
+    diffValues(headers(reference), headers(other), 'headers', { compareValues: true, isIgnored }, differences);
+    
+    diffValues(parseBody(reference.body), parseBody(other.body), 'body', {
+        compareValues: Boolean(options.compareValues),
+        isIgnored
+    }, differences);
+    
+    return differences;
+}
+
+/**
+ * Diff the captured responses of several environments against the first one.
+ * `captures` maps environment name to its list of captured responses.
+ */
+function diffEnvironments(captures, options = {}) {
+    const [reference, ...others] = Object.keys(captures);
+    const keyOf = response => `${response.request}#${response.iteration}`;
+    const referenceResponses = new Map(captures[reference].map(response => [keyOf(response), response]));
+    
+    return others.map(environment => {
+        const otherResponses = new Map(captures[environment].map(response => [keyOf(response), response]));
+        const requests = [];
+        
+        referenceResponses.forEach((response, key) => {
+            const other = otherResponses.get(key);
+            if (!other) {
+                requests.push({ request: response.request, iteration: response.iteration, missing: environment });
+                return;
+            }
+            
+            const differences = diffResponses(response, other, options);
+            if (differences.length > 0) {
+                requests.push({ request: response.request, iteration: response.iteration, differences });
+            }
+        });
+        otherResponses.forEach((response, key) => {
+            if (!referenceResponses.has(key)) {
+                requests.push({ request: response.request, iteration: response.iteration, missing: reference });
+            }
+        });
+        
+        return { reference, environment, requests };
+    });
+}
+
+module.exports = { DEFAULT_IGNORED_HEADERS, diffResponses, diffEnvironments };
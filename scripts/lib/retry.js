@@ -0,0 +1,217 @@
+const DEFAULT_POLICY = {
+    maxAttempts: 1,
+    backoff: 1000,
+    backoffFactor: 2,
+    retryOn: ['5xx', 'timeout', 'network']
+};
+
+const POLICY_KEYS = [...Object.keys(DEFAULT_POLICY), 'isolate'];
+
+const TIMEOUT_CODES = ['ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+
+/**
+ * Scripts that hand state to later requests; a request running these can't be retried on its own
+ */
+const STATE_WRITE_PATTERN = /pm\.(environment|collectionVariables|globals|variables)\.set\(|setNextRequest\(/;
+
+/**
+ * Resolve the retry policy for a request. `retryConfig.rules` entries match on
+ * `collection`, `folder` and `request`; the most specific matching rule wins.
+ */
+function resolveRetryPolicy(retryConfig, { collection, path }) {
+    if (!retryConfig) {
+        return { ...DEFAULT_POLICY };
+    }
+    
+    const { rules = [], ...base } = retryConfig;
+    const folders = path.slice(0, -1);
+    const request = path[path.length - 1];
+    
+    const matching = rules
+        .filter(rule => !rule.collection || rule.collection === collection)
+        .filter(rule => !rule.folder || folders.includes(rule.folder))
+        .filter(rule => !rule.request || rule.request === request || rule.request === path.join(' / '))
+        .map(rule => ({ rule, specificity: (rule.request ? 4 : 0) + (rule.folder ? 2 : 0) + (rule.collection ? 1 : 0) }))
+        .sort((a, b) => a.specificity - b.specificity);
+    
+    const policy = { ...DEFAULT_POLICY, ...base };
+    matching.forEach(({ rule }) => {
+        POLICY_KEYS.forEach(key => {
+            if (rule[key] !== undefined) policy[key] = rule[key];
+        });
+    });
+    
+    return policy;
+}
+
+/**
+ * Classify why a request failed: network, timeout, 5xx, assertion or script
+ */
+function classifyFailure(executions, failures) {
+    for (const execution of executions) {
+        if (execution.error) {
+            return TIMEOUT_CODES.includes(execution.errorCode) ? 'timeout' : 'network';
+        }
+        if (execution.code >= 500) {
+            return '5xx';
+        }
+    }
+    
+    if (executions.some(execution => execution.assertions.some(assertion => assertion.error))) {
+        return 'assertion';
+    }
+    
+    return failures.length > 0 ? 'script' : null;
+}
+
+/**
+ * Group a run's failed requests by request path
+ */
+function getFailedRequests(result) {
+    const byPath = new Map();
+    const entry = (path) => {
+        const key = path.join(' / ');
+        if (!byPath.has(key)) {
+            byPath.set(key, { key, path, executions: [], failures: [] });
+        }
+        return byPath.get(key);
+    };
+    
+    result.executions.forEach(execution => {
+        const failed = execution.error || execution.code >= 500 ||
+            execution.assertions.some(assertion => assertion.error);
+        if (failed) entry(execution.path).executions.push(execution);
+    });
+    result.failures.forEach(failure => {
+        if (failure.path) entry(failure.path).failures.push(failure);
+    });
+    
+    return [...byPath.values()].map(request => ({
+        ...request,
+        kind: classifyFailure(request.executions, request.failures)
+    }));
+}
+
+/**
+ * Decide whether a failed run should be retried, and how.
+ * Returns null when any failure is not retryable under its policy,
+ * otherwise the failed requests, the backoff delay and whether they can run in isolation.
+ */
+function planRetry(result, { collection, source, retryConfig, attempt, iterations }) {
+    const failed = getFailedRequests(result);
+    if (failed.length === 0 || result.failures.some(failure => !failure.path)) {
+        return null;
+    }
+    
+    const policies = failed.map(request => resolveRetryPolicy(retryConfig, { collection, path: request.path }));
+    const retryable = failed.every((request, index) => attempt < policies[index].maxAttempts &&
+        policies[index].retryOn.includes(request.kind));
+    
+    if (!retryable) {
+        return null;
+    }
+    
+    const isolate = (!iterations || Number(iterations) <= 1) &&
+        policies.every(p => p.isolate !== false) &&
+        failed.every(request => !writesState(findItem(source.item, request.path)));
+    
+    return {
+        requests: failed,
+        isolate,
+        delay: Math.max(...policies.map(p => p.backoff * Math.pow(p.backoffFactor, attempt - 1)))
+    };
+}
+
+/**
+ * Find an item in a collection's item tree by its name path
+ */
+function findItem(items, path) {
+    const [name, ...rest] = path;
+    const item = (items || []).find(candidate => candidate.name === name);
+    
+    if (!item || rest.length === 0) {
+        return item;
+    }
+    return findItem(item.item, rest);
+}
+
+/**
+ * Check whether an item's scripts pass state to later requests
+ */
+function writesState(item) {
+    if (!item) return true;
+    
+    return (item.event || []).some(event => {
+        const exec = event.script && event.script.exec;
+        const source = Array.isArray(exec) ? exec.join('\n') : (exec || '');
+        return STATE_WRITE_PATTERN.test(source);
+    });
+}
+
+/**
+ * Build a copy of the collection that contains only the given request paths
+ */
+function buildIsolatedCollection(source, paths) {
+    const keys = paths.map(path => path.join(' / '));
+    
+    const filterItems = (items, parentPath) => items.reduce((kept, item) => {
+        const itemPath = [...parentPath, item.name];
+        
+        if (item.item) {
+            const children = filterItems(item.item, itemPath);
+            if (children.length > 0) kept.push({ ...item, item: children });
+        } else if (keys.includes(itemPath.join(' / '))) {
+            kept.push(item);
+        }
+        return kept;
+    }, []);
+    
+    return { ...source, item: filterItems(source.item || [], []) };
+}
+
+/**
+ * Replace the retried requests' executions and failures in `previous` with those of the retry run
+ */
+function mergeRetryResults(previous, retry, paths) {
+    const keys = paths.map(path => path.join(' / '));
+    const retried = (entry) => entry.path && keys.includes(entry.path.join(' / '));
+    
+    const executions = previous.executions.map(execution => {
+        if (!retried(execution)) return execution;
+        
+        const replacement = retry.executions.find(candidate =>
+            candidate.path.join(' / ') === execution.path.join(' / ') && candidate.iteration === execution.iteration);
+        return replacement || execution;
+    });
+    const failures = [...previous.failures.filter(failure => !retried(failure)), ...retry.failures];
+    
+    const assertions = executions.reduce((list, execution) => list.concat(execution.assertions), []);
+    
+    return {
+        ...previous,
+        executions,
+        failures,
+        stats: {
+            ...previous.stats,
+            requests: {
+                total: executions.length,
+                failed: executions.filter(execution => execution.error).length
+            },
+            assertions: {
+                total: assertions.length,
+                failed: assertions.filter(assertion => assertion.error).length
+            }
+        },
+        environmentValues: retry.environmentValues
+    };
+}
+
+module.exports = {
+    DEFAULT_POLICY,
+    resolveRetryPolicy,
+    classifyFailure,
+    getFailedRequests,
+    planRetry,
+    buildIsolatedCollection,
+    mergeRetryResults
+};
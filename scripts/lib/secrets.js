@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const { findTemplateReferences } = require('./variables');
+
+const PLACEHOLDER_PATTERN = /\{\{\$env\.([A-Za-z_][A-Za-z0-9_]*)\}\}/g;
+
+/**
+ * Parse the contents of a .env file (KEY=value lines, # comments, optional quotes)
+ */
+function parseDotEnv(text) {
+    const values = {};
+    
+    text.split(/\r?\n/).forEach(line => {
+        const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)\s*$/);
+        if (!match) return;
+        
+        let value = match[2];
+        const quoted = value.match(/^(['"])(.*?)\1(\s+#.*)?$/);
+        if (quoted) {
+            value = quoted[1] === '"' ? quoted[2].replace(/\\n/g, '\n') : quoted[2];
+        } else {
+            value = value.replace(/\s+#.*$/, '');
+        }
+        values[match[1]] = value;
+    });
+    
+    return values;
+}
+
+/**
+ * Get the path of the git-ignored secrets file for an environment
+ */
+function dotEnvPath(rootDir, environment) {
+    return path.join(rootDir, `.env.${environment}`);
+}
+
+/**
+ * Check whether a variable value is (or contains) an environment placeholder
+ */
+function isPlaceholder(value) {
+    PLACEHOLDER_PATTERN.lastIndex = 0;
+    return typeof value === 'string' && PLACEHOLDER_PATTERN.test(value);
+}
+
+/**
+ * Resolve `{{$env.NAME}}` placeholders and the `secretsFrom` mapping of an environment file.
+ * Values come from the process environment first, then from `.env.<environment>` in `rootDir`.
+ * Returns the resolved variables as Newman --env-var overrides and the names that could not be found.
+ */
+function resolveSecrets(environment, environmentName, { rootDir, processEnv = process.env }) {
+    const file = dotEnvPath(rootDir, environmentName);
+    const fileValues = fs.existsSync(file) ? parseDotEnv(fs.readFileSync(file, 'utf8')) : {};
+    const lookup = name => (processEnv[name] !== undefined ? processEnv[name] : fileValues[name]);
+    
+    const overrides = [];
+    const missing = [];
+    
+    (environment.values || []).forEach(variable => {
+        if (!isPlaceholder(variable.value)) return;
+        
+        const value = variable.value.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+            const resolved = lookup(name);
+            if (resolved === undefined) {
+                missing.push({ key: variable.key, name });
+                return placeholder;
+            }
+            return resolved;
+        });
+        overrides.push({ key: variable.key, value });
+    });
+    
+    Object.entries(environment.secretsFrom || {}).forEach(([key, name]) => {
+        const value = lookup(name);
+        if (value === undefined) {
+            missing.push({ key, name });
+            return;
+        }
+        
+        const existing = overrides.find(override => override.key === key);
+        if (existing) {
+            existing.value = value;
+        } else {
+            overrides.push({ key, value });
+        }
+    });
+    
+    return { overrides, missing, file };
+}
+
+/**
+ * Split missing secrets into those a run needs and those it never reads. `references` are the
+ * variables the collection reads; environment values that refer to them count as read too.
+ */
+function partitionMissing(missing, environment, references) {
+    const read = new Set(references);
+    let grown = true;
+    
+    while (grown) {
+        grown = false;
+        (environment.values || [])
+            .filter(variable => read.has(variable.key))
+            .forEach(variable => findTemplateReferences(variable.value).forEach(name => {
+                if (!read.has(name)) {
+                    read.add(name);
+                    grown = true;
+                }
+            }));
+    }
+    
+    return {
+        needed: missing.filter(entry => read.has(entry.key)),
+        unused: missing.filter(entry => !read.has(entry.key))
+    };
+}
+
+module.exports = { PLACEHOLDER_PATTERN, parseDotEnv, dotEnvPath, isPlaceholder, resolveSecrets, partitionMissing };
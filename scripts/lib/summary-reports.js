@@ -0,0 +1,310 @@
+const path = require('path');
+const { escapeHtml } = require('./strings');
+
+/**
+ * Reports written once per matrix run, from the results of every collection × environment run
+ */
+const SUMMARY_REPORTERS = ['junit', 'markdown', 'html'];
+
+/**
+ * Throw on reporter names that are not summary reporters
+ */
+function checkSummaryReporters(names = []) {
+    const unknown = names.filter(name => !SUMMARY_REPORTERS.includes(name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown summary reporter: ${unknown.join(', ')} (available: ${SUMMARY_REPORTERS.join(', ')})`);
+    }
+}
+
+/**
+ * Failures listed per run in the Markdown summary before the rest are counted
+ */
+const MAX_MARKDOWN_FAILURES = 10;
+
+/**
+ * Escape text for XML attributes and content
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;')
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * Get the name of a request execution, with its iteration when the run had several
+ */
+function executionName(execution, iterations) {
+    const name = (execution.path && execution.path.join(' / ')) || execution.name;
+    return iterations > 1 ? `${name} (iteration ${execution.iteration + 1})` : name;
+}
+
+/**
+ * Build the JUnit test cases of one run: one per assertion, one per request error,
+ * one per exceeded latency budget and one per request skipped on a protected environment
+ */
+function junitTestCases(result) {
+    const iterations = result.stats ? result.stats.iterations.total : 1;
+    const classname = `${result.collection}.${result.environment}`;
+    const cases = [];
+    
+    (result.executions || []).forEach(execution => {
+        const name = executionName(execution, iterations);
+        const time = ((execution.responseTime || 0) / 1000).toFixed(3);
+        
+        if (execution.error) {
+            cases.push({ classname, name, time, error: execution.error });
+        }
+        execution.assertions.forEach(assertion => {
+            cases.push({
+                classname,
+                name: `${name} › ${assertion.name}`,
+                time,
+                skipped: assertion.skipped,
+                failure: assertion.error
+            });
+        });
+    });
+    
+    (result.budgetViolations || []).forEach(violation => {
+        cases.push({
+            classname,
+            name: `${violation.request} › ${violation.metric} latency budget`,
+            time: (violation.actual / 1000).toFixed(3),
+            failure: `${violation.metric} ${violation.actual}ms exceeds budget of ${violation.budget}ms`
+        });
+    });
+    
+    (result.skipped || []).forEach(entry => {
+        cases.push({ classname, name: entry.request, time: '0.000', skipped: `${entry.method} ${entry.reason}` });
+    });
+    
+    return cases;
+}
+
+/**
+ * Render the whole matrix as one JUnit XML document, one test suite per collection × environment
+ */
+function renderJUnit(results, { name = 'API Tests' } = {}) {
+    const suites = results.map(result => {
+        const cases = junitTestCases(result);
+        const classname = `${result.collection}.${result.environment}`;
+        
+        // A run that could not start (missing environment, unresolved secret) is reported as an error
+        if (result.error) {
+            cases.push({ classname, name: 'run', time: '0.000', error: result.error, errorType: 'RunError' });
+        }
+        
+        return {
+            result,
+            cases,
+            failures: cases.filter(testCase => testCase.failure).length,
+            errors: cases.filter(testCase => testCase.error).length,
+            skipped: cases.filter(testCase => testCase.skipped).length,
+            time: result.timings ? result.timings.duration / 1000 : 0
+        };
+    });
+    
+    const renderCase = testCase => {
+        const attributes = `classname="${escapeXml(testCase.classname)}" name="${escapeXml(testCase.name)}" time="${testCase.time}"`;
+        if (testCase.error) {
+            return `    <testcase ${attributes}>\n      <error message="${escapeXml(testCase.error)}" type="${testCase.errorType || 'RequestError'}"/>\n    </testcase>`;
+        }
+        if (testCase.failure) {
+            return `    <testcase ${attributes}>\n      <failure message="${escapeXml(testCase.failure)}" type="AssertionFailure"/>\n    </testcase>`;
+        }
+        if (testCase.skipped) {
+            const message = typeof testCase.skipped === 'string' ? ` message="${escapeXml(testCase.skipped)}"` : '';
+            return `    <testcase ${attributes}>\n      <skipped${message}/>\n    </testcase>`;
+        }
+        return `    <testcase ${attributes}/>`;
+    };
+    
+    const renderSuite = suite => {
+        const { result } = suite;
+        const timestamp = new Date(result.timings ? result.timings.started : Date.now()).toISOString();
+        const attributes = `name="${escapeXml(`${result.collection} (${result.environment})`)}" tests="${suite.cases.length}" failures="${suite.failures}" errors="${suite.errors}" skipped="${suite.skipped}" time="${suite.time.toFixed(3)}" timestamp="${timestamp}"`;
+        return `  <testsuite ${attributes}>\n${suite.cases.map(renderCase).join('\n')}\n  </testsuite>`;
+    };
+    
+    const total = key => suites.reduce((sum, suite) => sum + (key === 'tests' ? suite.cases.length : suite[key]), 0);
+    
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="${escapeXml(name)}" tests="${total('tests')}" failures="${total('failures')}" errors="${total('errors')}" time="${total('time').toFixed(3)}">
+${suites.map(renderSuite).join('\n')}
+</testsuites>
+`;
+}
+
+/**
+ * Get the pass/fail label of a run for matrix tables, e.g. `✅ 38/38`
+ */
+function runLabel(result) {
+    if (!result) return '-';
+    if (!result.stats) return result.success ? '✅' : '❌ error';
+    
+    const { assertions } = result.stats;
+    return `${result.success ? '✅' : '❌'} ${assertions.total - assertions.failed}/${assertions.total}`;
+}
+
+/**
+ * Escape text for a Markdown table cell
+ */
+function escapeMarkdown(value) {
+    return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Render a Markdown summary of a matrix run, e.g. for $GITHUB_STEP_SUMMARY
+ */
+function renderMarkdown(results, { title = 'API Test Results', reportDir } = {}) {
+    const collections = [...new Set(results.map(r => r.collection))];
+    const environments = [...new Set(results.map(r => r.environment))];
+    const failed = results.filter(r => !r.success);
+    const lines = [];
+    
+    lines.push(`## ${failed.length === 0 ? '✅' : '❌'} ${title}`, '');
+    lines.push(`**${results.length - failed.length}** of **${results.length}** run(s) passed.`, '');
+    
+    lines.push(`| Collection | ${environments.map(escapeMarkdown).join(' | ')} |`);
+    lines.push(`| --- | ${environments.map(() => '---').join(' | ')} |`);
+    collections.forEach(collection => {
+        const cells = environments.map(environment => runLabel(results.find(r => r.collection === collection && r.environment === environment)));
+        lines.push(`| ${escapeMarkdown(collection)} | ${cells.join(' | ')} |`);
+    });
+    
+    if (failed.length > 0) {
+        lines.push('', '### Failures', '');
+        failed.forEach(result => {
+            lines.push(`**${escapeMarkdown(result.collection)} › ${escapeMarkdown(result.environment)}**`, '');
+            if (result.error) {
+                lines.push(`- ${escapeMarkdown(result.error)}`);
+            }
+            
+            const problems = [
+                ...(result.failures || []).map(failure => {
+                    const row = failure.dataRow ? ` _[${escapeMarkdown(failure.dataRow)}]_` : '';
+                    return `- \`${escapeMarkdown(failure.source)}\`${row}: ${escapeMarkdown(failure.test)} - ${escapeMarkdown(failure.message)}`;
+                }),
+                ...(result.budgetViolations || []).map(violation => (
+                    `- \`${escapeMarkdown(violation.request)}\`: ${violation.metric} ${violation.actual}ms exceeds budget of ${violation.budget}ms`
+                ))
+            ];
+            lines.push(...problems.slice(0, MAX_MARKDOWN_FAILURES));
+            if (problems.length > MAX_MARKDOWN_FAILURES) {
+                lines.push(`- …and ${problems.length - MAX_MARKDOWN_FAILURES} more`);
+            }
+            lines.push('');
+        });
+    }
+    
+    const skipped = results.filter(r => r.skipped && r.skipped.length > 0);
+    if (skipped.length > 0) {
+        lines.push('', '### Skipped on protected environments', '');
+        skipped.forEach(result => result.skipped.forEach(entry => {
+            lines.push(`- ${escapeMarkdown(result.collection)} › ${escapeMarkdown(result.environment)}: \`${entry.method} ${escapeMarkdown(entry.request)}\` (${escapeMarkdown(entry.reason)})`);
+        }));
+    }
+    
+    const flaky = results.filter(r => r.flaky && r.flaky.length > 0);
+    if (flaky.length > 0) {
+        lines.push('', '### Flaky requests (passed after retry)', '');
+        flaky.forEach(result => result.flaky.forEach(entry => {
+            lines.push(`- ${escapeMarkdown(result.collection)} › ${escapeMarkdown(result.environment)}: \`${escapeMarkdown(entry.request)}\` (${entry.failureKind}, passed on attempt ${entry.attempts})`);
+        }));
+    }
+    
+    const reports = results.filter(r => r.reportPath);
+    if (reports.length > 0) {
+        lines.push('', '### Reports', '');
+        reports.forEach(result => {
+            const file = reportDir ? path.relative(reportDir, result.reportPath) : result.reportPath;
+            lines.push(`- ${escapeMarkdown(result.collection)} › ${escapeMarkdown(result.environment)}: \`${escapeMarkdown(file)}\``);
+        });
+    }
+    
+    return lines.join('\n').replace(/\n{3,}/g, '\n\n') + '\n';
+}
+
+/**
+ * Render an HTML index of a matrix run that links every per-run report.
+ * Links are relative to `reportDir`, where the index is written.
+ */
+function renderIndexHtml(results, { reportDir, title = 'API Test Results', links = {} }) {
+    const href = file => escapeHtml(path.relative(reportDir, file).split(path.sep).join('/'));
+    const collections = [...new Set(results.map(r => r.collection))];
+    const environments = [...new Set(results.map(r => r.environment))];
+    const failed = results.filter(r => !r.success);
+    
+    const matrix = collections.map(collection => `<tr><th>${escapeHtml(collection)}</th>${environments.map(environment => {
+        const result = results.find(r => r.collection === collection && r.environment === environment);
+        if (!result) return '<td>-</td>';
+        
+        const label = escapeHtml(runLabel(result));
+        const cell = result.reportPath ? `<a href="${href(result.reportPath)}">${label}</a>` : label;
+        return `<td class="${result.success ? 'pass' : 'fail'}">${cell}</td>`;
+    }).join('')}</tr>`).join('\n');
+    
+    const rows = results.map(result => {
+        const files = [
+            ['HTML', result.reportPath],
+            ['JSON', result.jsonReportPath],
+            ['Flakiness', result.flakinessReportPath],
+            ['HAR', result.harPath]
+        ].filter(([, file]) => file).map(([label, file]) => `<a href="${href(file)}">${label}</a>`).join(' · ');
+        const details = result.error
+            ? escapeHtml(result.error)
+            : `${result.stats.requests.total} requests, ${result.stats.assertions.total - result.stats.assertions.failed}/${result.stats.assertions.total} assertions, ${result.timings.duration}ms`;
+        
+        return `<tr class="${result.success ? 'pass' : 'fail'}"><td>${escapeHtml(result.collection)}</td><td>${escapeHtml(result.environment)}</td><td>${details}</td><td>${files}</td></tr>`;
+    }).join('\n');
+    
+    const failures = failed.flatMap(result => (result.failures || []).map(failure => (
+        `<tr><td>${escapeHtml(`${result.collection} › ${result.environment}`)}</td><td>${escapeHtml(failure.source)}</td><td>${escapeHtml(failure.test)}</td><td>${escapeHtml(failure.message)}${failure.dataRow ? ` <span class="row">[${escapeHtml(failure.dataRow)}]</span>` : ''}</td></tr>`
+    ))).join('\n');
+    
+    const extraLinks = Object.entries(links)
+        .filter(([, file]) => file)
+        .map(([label, file]) => `<li><a href="${href(file)}">${escapeHtml(label)}</a></li>`)
+        .join('\n');
+    
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+    body { font-family: -apple-system, Segoe UI, sans-serif; margin: 2em; color: #222; }
+    table { border-collapse: collapse; margin-bottom: 1.5em; }
+    th, td { border: 1px solid #ddd; padding: 4px 10px; text-align: left; }
+    th { background: #f4f4f4; }
+    td.pass, tr.pass td:first-child { color: #2e7d32; }
+    td.fail, tr.fail td:first-child { color: #c62828; }
+    .row { color: #888; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${results.length - failed.length} of ${results.length} run(s) passed · ${escapeHtml(new Date().toISOString())}</p>
+<h2>Matrix</h2>
+<table><tr><th>Collection</th>${environments.map(environment => `<th>${escapeHtml(environment)}</th>`).join('')}</tr>
+${matrix}
+</table>
+<h2>Runs</h2>
+<table><tr><th>Collection</th><th>Environment</th><th>Result</th><th>Reports</th></tr>
+${rows}
+</table>
+${failures ? `<h2>Failures</h2>
+<table><tr><th>Run</th><th>Request</th><th>Test</th><th>Message</th></tr>
+${failures}
+</table>` : ''}
+${extraLinks ? `<h2>More reports</h2>\n<ul>\n${extraLinks}\n</ul>` : ''}
+</body>
+</html>
+`;
+}
+
+module.exports = { SUMMARY_REPORTERS, checkSummaryReporters, renderJUnit, renderMarkdown, renderIndexHtml };
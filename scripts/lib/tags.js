@@ -0,0 +1,76 @@
+const TAG_PATTERN = /(^|\s)@([\w-]+)/g;
+
+/**
+ * Get the plain text of a Postman description (string or { content } object)
+ */
+function descriptionText(description) {
+    if (!description) return '';
+    return typeof description === 'string' ? description : (description.content || '');
+}
+
+/**
+ * Extract the tags (without the leading @) from a description,
+ * e.g. "Removes a user. @destructive" has the tag "destructive"
+ */
+function parseTags(description) {
+    const tags = [];
+    const text = descriptionText(description);
+    let match;
+    
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(text)) !== null) {
+        if (!tags.includes(match[2])) tags.push(match[2]);
+    }
+    
+    return tags;
+}
+
+/**
+ * Normalise a list of tag names, accepting an optional leading @
+ */
+function normaliseTags(tags) {
+    return (tags || []).map(tag => tag.trim().replace(/^@/, '')).filter(Boolean);
+}
+
+/**
+ * Return a copy of the collection that keeps only requests selected by the tag filter.
+ * A request is kept when it (or an enclosing folder) has any of `include` (or `include` is empty)
+ * and none of `exclude`. Folders left without requests are dropped.
+ */
+function filterCollectionByTags(collection, { include = [], exclude = [] } = {}) {
+    const includeTags = normaliseTags(include);
+    const excludeTags = normaliseTags(exclude);
+    const removed = [];
+    
+    const filterItems = (items, inheritedTags, parentPath) => items.reduce((kept, item) => {
+        const tags = [...inheritedTags, ...parseTags(item.description)];
+        const itemPath = parentPath ? `${parentPath} / ${item.name}` : item.name;
+        
+        if (item.item) {
+            const children = filterItems(item.item, tags, itemPath);
+            if (children.length > 0) {
+                kept.push({ ...item, item: children });
+            }
+            return kept;
+        }
+        
+        const included = includeTags.length === 0 || includeTags.some(tag => tags.includes(tag));
+        const excluded = excludeTags.some(tag => tags.includes(tag));
+        
+        if (included && !excluded) {
+            kept.push(item);
+        } else {
+            removed.push(itemPath);
+        }
+        return kept;
+    }, []);
+    
+    const collectionTags = parseTags(collection.info && collection.info.description);
+    
+    return {
+        collection: { ...collection, item: filterItems(collection.item || [], collectionTags, '') },
+        removed
+    };
+}
+
+module.exports = { parseTags, normaliseTags, filterCollectionByTags };
@@ -0,0 +1,128 @@
+/**
+ * Scopes a script can read variables from or write them to
+ */
+const SCRIPT_SCOPES = ['environment', 'collectionVariables', 'globals', 'variables'];
+
+/**
+ * Find the `{{name}}` references in a piece of request text. Dynamic variables (`{{$guid}}`) are skipped.
+ */
+function findTemplateReferences(text) {
+    const names = [];
+    const pattern = /\{\{\s*([^{}\s]+)\s*\}\}/g;
+    let match;
+    
+    while ((match = pattern.exec(String(text || ''))) !== null) {
+        if (!match[1].startsWith('$')) names.push(match[1]);
+    }
+    return names;
+}
+
+/**
+ * Find the variables a script reads or writes through pm.<scope>.<method>('name')
+ */
+function findScriptCalls(source, methods) {
+    const names = [];
+    const pattern = new RegExp(`pm\\.(${SCRIPT_SCOPES.join('|')})\\.(${methods.join('|')})\\(\\s*(['"\`])([^'"\`]+)\\3`, 'g');
+    let match;
+    
+    while ((match = pattern.exec(source)) !== null) {
+        names.push(match[4]);
+    }
+    return names;
+}
+
+/**
+ * Get the source of the scripts of an item/folder/collection for one event (or all events)
+ */
+function scriptSource(node, listen) {
+    return (node.event || [])
+        .filter(event => !listen || event.listen === listen)
+        .map(event => {
+            const exec = event.script && event.script.exec;
+            return Array.isArray(exec) ? exec.join('\n') : String(exec || '');
+        })
+        .join('\n');
+}
+
+/**
+ * List every `{{variable}}` a request reads: URL, headers, body and auth
+ */
+function requestReferences(request) {
+    if (!request) return [];
+    if (typeof request === 'string') return findTemplateReferences(request);
+    
+    const texts = [];
+    const url = request.url;
+    texts.push(typeof url === 'string' ? url : url && (url.raw || [].concat(url.host || [], url.path || []).join('/')));
+    if (url && url.query) url.query.filter(entry => !entry.disabled).forEach(entry => texts.push(entry.key, entry.value));
+    if (url && url.variable) url.variable.forEach(entry => texts.push(entry.value));
+    
+    (request.header || []).filter(header => !header.disabled).forEach(header => texts.push(header.key, header.value));
+    
+    const body = request.body || {};
+    if (body.mode === 'raw') texts.push(body.raw);
+    if (body.mode === 'graphql' && body.graphql) texts.push(body.graphql.query, body.graphql.variables);
+    ['urlencoded', 'formdata'].forEach(mode => {
+        if (body.mode === mode) (body[mode] || []).filter(entry => !entry.disabled).forEach(entry => texts.push(entry.key, entry.value));
+    });
+    
+    if (request.auth && request.auth.type && Array.isArray(request.auth[request.auth.type])) {
+        request.auth[request.auth.type].forEach(entry => texts.push(entry.value));
+    }
+    
+    return [...new Set(texts.flatMap(findTemplateReferences))];
+}
+
+/**
+ * Variables a script reads with pm.<scope>.get()
+ */
+function scriptReads(source) {
+    return [...new Set(findScriptCalls(source, ['get', 'has']))];
+}
+
+/**
+ * Variables a script sets with pm.<scope>.set()
+ */
+function scriptWrites(source) {
+    return [...new Set(findScriptCalls(source, ['set']))];
+}
+
+/**
+ * Variables a script removes with pm.<scope>.unset()
+ */
+function scriptUnsets(source) {
+    return [...new Set(findScriptCalls(source, ['unset']))];
+}
+
+/**
+ * Flatten a collection into its folders and requests, each with its name path and parent folders
+ */
+function walkItems(items, parents = [], entries = []) {
+    (items || []).forEach(item => {
+        const entry = { item, path: [...parents.map(parent => parent.name), item.name], parents, folder: Boolean(item.item) };
+        entries.push(entry);
+        if (item.item) walkItems(item.item, [...parents, item], entries);
+    });
+    return entries;
+}
+
+/**
+ * List every variable a collection reads: in requests, auth, scripts and collection variables,
+ * at any level
+ */
+function collectionReferences(collection) {
+    const names = new Set();
+    const add = list => list.forEach(name => names.add(name));
+    const visit = node => {
+        add(requestReferences(node.request));
+        if (node.auth) add(requestReferences({ auth: node.auth }));
+        add(scriptReads(scriptSource(node)));
+        (node.item || []).forEach(visit);
+    };
+    
+    visit(collection);
+    (collection.variable || []).forEach(variable => add(findTemplateReferences(variable.value)));
+    return names;
+}
+
+module.exports = { findTemplateReferences, scriptSource, requestReferences, scriptReads, scriptWrites, scriptUnsets, walkItems, collectionReferences };
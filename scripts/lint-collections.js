@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { loadConfig } = require('./lib/config');
+const { lintFiles, toSarif } = require('./lib/lint');
+const { listEnvironments, resolveEnvironment } = require('./lib/environments');
+
+const COLLECTIONS_DIR = path.join(__dirname, '..', 'collections');
+const ENVIRONMENTS_DIR = path.join(__dirname, '..', 'environments');
+
+const FORMATS = ['text', 'json', 'sarif'];
+
+/**
+ * Load every runnable environment with what it extends merged in; their variable keys count as defined.
+ * Abstract environments are left out, as nothing runs against them directly.
+ */
+function loadEnvironments(environmentsDir = ENVIRONMENTS_DIR) {
+    return listEnvironments(environmentsDir)
+        .map(name => {
+            try {
+                return resolveEnvironment(environmentsDir, name);
+            } catch (error) {
+                // validate:environments reports broken environment files
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Resolve CLI arguments (collection names or paths) to collection files; all collections by default
+ */
+function resolveCollectionFiles(args) {
+    if (args.length === 0) {
+        return fs.readdirSync(COLLECTIONS_DIR)
+            .filter(file => file.endsWith('.postman_collection.json'))
+            .sort()
+            .map(file => path.join(COLLECTIONS_DIR, file));
+    }
+    
+    return args.map(arg => {
+        const file = fs.existsSync(arg) ? path.resolve(arg) : path.join(COLLECTIONS_DIR, `${arg}.postman_collection.json`);
+        if (!fs.existsSync(file)) {
+            throw new Error(`Collection not found: ${arg}`);
+        }
+        return file;
+    });
+}
+
+/**
+ * Print lint results for people
+ */
+function printResults(results) {
+    const icons = { error: chalk.red('✗'), warning: chalk.yellow('⚠'), info: chalk.blue('ℹ') };
+    const colors = { error: chalk.red, warning: chalk.yellow, info: chalk.blue };
+    
+    console.log(chalk.cyan('🔍 Linting Postman Collections...'));
+    
+    results.forEach(({ file, findings }) => {
+        console.log(`\n${chalk.blue('Linting collection:')} ${path.basename(file)}`);
+        if (findings.length === 0) {
+            console.log(`${chalk.green('✓')} No problems found`);
+        }
+        findings.forEach(finding => {
+            console.log(`  ${icons[finding.severity]} ${colors[finding.severity](finding.severity.padEnd(7))} ${chalk.gray(finding.rule.padEnd(24))} ${finding.location}: ${finding.message}`);
+        });
+    });
+    
+    const count = severity => results.reduce((total, result) => total + result.findings.filter(f => f.severity === severity).length, 0);
+    console.log('\n' + '='.repeat(50));
+    console.log(`${chalk.red(`${count('error')} error(s)`)}, ${chalk.yellow(`${count('warning')} warning(s)`)}, ${chalk.blue(`${count('info')} info`)}`);
+}
+
+/**
+ * CLI interface
+ */
+function main() {
+    const args = process.argv.slice(2);
+    const valueOf = flag => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+    const valueFlags = ['--format', '--output', '--config'];
+    const positional = args.filter((arg, index) => !arg.startsWith('--') && !valueFlags.includes(args[index - 1]));
+    
+    try {
+        const format = valueOf('--format') || 'text';
+        if (!FORMATS.includes(format)) {
+            throw new Error(`Unknown format "${format}" (use ${FORMATS.join(', ')})`);
+        }
+        
+        const config = loadConfig(valueOf('--config') ? path.resolve(valueOf('--config')) : undefined);
+        const lintConfig = config.lint || {};
+        const results = lintFiles(resolveCollectionFiles(positional), {
+            environments: loadEnvironments(),
+            variables: lintConfig.variables || [],
+            rules: lintConfig.rules || {}
+        });
+        
+        if (format === 'text') {
+            printResults(results);
+        } else {
+            const output = JSON.stringify(format === 'sarif' ? toSarif(results) : results, null, 2);
+            if (valueOf('--output')) {
+                fs.writeFileSync(valueOf('--output'), output + '\n');
+            } else {
+                console.log(output);
+            }
+        }
+        
+        const hasErrors = results.some(result => result.findings.some(finding => finding.severity === 'error'));
+        process.exit(hasErrors ? 1 : 0);
+    } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+    }
+}
+
+// Run linting if script is executed directly
+if (require.main === module) {
+    main();
+}
+
+module.exports = { loadEnvironments, resolveCollectionFiles };
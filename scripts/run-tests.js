@@ -1,21 +1,133 @@
 const fs = require('fs');
+const http = require('http');
+const EventEmitter = require('events');
 const path = require('path');
-const { spawn } = require('child_process');
 const chalk = require('chalk');
+const newman = require('newman');
+const { DEFAULT_CONFIG_PATH, loadConfig, resolveProfile } = require('./lib/config');
+const { filterCollectionByTags } = require('./lib/tags');
+const { planRetry, buildIsolatedCollection, mergeRetryResults, getFailedRequests } = require('./lib/retry');
+const { createHistoryEntry, appendHistory, loadHistory, analyzeTrends, renderTrendsHtml } = require('./lib/history');
+const { compareReports } = require('./lib/compare');
+const { computeLatency, resolveBudgets, checkBudgets } = require('./lib/latency');
+const { diffEnvironments } = require('./lib/response-diff');
+const { resolveSecrets, isPlaceholder, partitionMissing } = require('./lib/secrets');
+const { collectionReferences } = require('./lib/variables');
+const { DEFAULT_REDACTION, createRedactor, redactFile, redactStdout } = require('./lib/redact');
+const { createMockHandler } = require('./lib/mock');
+const { loadSpec, buildCollection } = require('./lib/openapi');
+const { addContractTests } = require('./lib/contract');
+const { loadIterationData, describeRow } = require('./lib/iteration-data');
+const { readEnvironment, resolveEnvironment } = require('./lib/environments');
+const { loadPlugins } = require('./lib/plugins');
+const { escapeRegExp, escapeHtml, globToRegExp } = require('./lib/strings');
+const { webhookNotifier } = require('./lib/notifications');
+const { MUTATING_METHODS, protectionPolicy, guardCollection } = require('./lib/protection');
+const { DEFAULT_LOAD, HISTOGRAM_BUCKETS, parseDuration, summarizeLoad, checkLoadThresholds, formatViolation } = require('./lib/load');
+const { harEntry, createHar, loadHar, createReplayHandler, createRedirectAgents } = require('./lib/har');
+const { checkSummaryReporters, renderJUnit, renderMarkdown, renderIndexHtml } = require('./lib/summary-reports');
+const { validateCollection } = require('./validate-collections');
 
 /**
- * Run Newman tests with custom configuration
+ * Report file extension for each reporter that exports to a file
  */
-class TestRunner {
+const REPORTER_EXTENSIONS = {
+    html: 'html',
+    htmlextra: 'html',
+    json: 'json',
+    junit: 'xml',
+    junitfull: 'xml'
+};
+
+const DEFAULT_REPORTERS = ['cli', 'htmlextra', 'json'];
+
+/**
+ * Reporters that break when Newman runs in-process (junitfull assigns to Node's `global`)
+ */
+const UNSUPPORTED_REPORTERS = ['junitfull'];
+
+const DEFAULT_MOCK_PORT = 3001;
+
+/**
+ * Environment the mock server keeps pointed at itself
+ */
+const MOCK_ENVIRONMENT = 'local';
+
+/**
+ * Output used in quiet mode
+ */
+const QUIET_OUTPUT = { log: () => {}, error: () => {} };
+
+/**
+ * Run Newman tests with custom configuration.
+ * Emits the lifecycle events listed in lib/plugins.js (RUNNER_EVENTS).
+ */
+class TestRunner extends EventEmitter {
     constructor(options = {}) {
+        super();
         this.options = {
             reportDir: path.join(__dirname, '..', 'reports'),
             collectionsDir: path.join(__dirname, '..', 'collections'),
             environmentsDir: path.join(__dirname, '..', 'environments'),
+            baselineDir: path.join(__dirname, '..', 'baselines'),
+            dataDir: path.join(__dirname, '..', 'data'),
+            secretsDir: path.join(__dirname, '..'),
+            configPath: DEFAULT_CONFIG_PATH,
+            // Protected environments need --confirm when someone runs them from a terminal
+            interactive: Boolean(process.stdin.isTTY) && !process.env.CI,
             ...options
         };
+        this.options.historyPath = this.options.historyPath || path.join(this.options.reportDir, 'history.jsonl');
         
+        this.output = this.options.quiet ? QUIET_OUTPUT : (this.options.output || console);
+        this.pendingEvents = new Set();
+        
+        this.config = loadConfig(this.options.configPath);
         this.ensureDirectories();
+        
+        // Config plugins resolve against the config file, programmatic ones against the working directory
+        this.plugins = [
+            ...(this.config.notifications ? [{ name: 'notifications', register: webhookNotifier, options: this.config.notifications }] : []),
+            ...loadPlugins(this.config.plugins, path.dirname(this.options.configPath)),
+            ...loadPlugins(this.options.plugins, process.cwd())
+        ];
+        this.plugins.forEach(plugin => plugin.register(this, plugin.options));
+    }
+    
+    /**
+     * Call an event's listeners and return a promise for all of them, including async ones.
+     * A failing listener is reported and never breaks the run.
+     */
+    emitEvent(event, payload) {
+        const settled = this.rawListeners(event).map(listener => {
+            try {
+                return Promise.resolve(listener.call(this, payload)).catch(error => this.reportListenerError(event, error));
+            } catch (error) {
+                this.reportListenerError(event, error);
+                return undefined;
+            }
+        });
+        
+        const done = Promise.all(settled);
+        this.pendingEvents.add(done);
+        done.then(() => this.pendingEvents.delete(done));
+        return done;
+    }
+    
+    /**
+     * Report a listener that threw or rejected
+     */
+    reportListenerError(event, error) {
+        this.output.error(chalk.yellow(`⚠ ${event} listener failed: ${error.message}`));
+    }
+    
+    /**
+     * Wait for every listener still running, e.g. async work started from request:done
+     */
+    async settleEvents() {
+        while (this.pendingEvents.size > 0) {
+            await Promise.all([...this.pendingEvents]);
+        }
     }
     
     /**
@@ -27,10 +139,19 @@ class TestRunner {
         }
     }
     
+    /**
+     * Get the run settings of a named profile, merged over the config defaults
+     */
+    getProfile(name) {
+        return resolveProfile(this.config, name);
+    }
+    
     /**
      * Run tests for a specific environment
      */
-    async runTests(collection, environment, options = {}) {
+    async runTests(collection, environment, runOptions = {}) {
+        const options = { ...this.config.defaults, ...runOptions };
+        if (this.options.quiet) options.quiet = true;
         const collectionPath = path.join(this.options.collectionsDir, `${collection}.postman_collection.json`);
         const environmentPath = path.join(this.options.environmentsDir, `${environment}.postman_environment.json`);
         
@@ -43,180 +164,2014 @@ class TestRunner {
             throw new Error(`Environment not found: ${environmentPath}`);
         }
         
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        if (readEnvironment(this.options.environmentsDir, environment).abstract) {
+            throw new Error(`Environment ${environment} is abstract; run one of the environments that extend it`);
+        }
+        
+        // Newman gets the environment with everything it extends merged in
+        const definition = resolveEnvironment(this.options.environmentsDir, environment);
+        const secrets = this.resolveEnvironmentSecrets(definition, environment);
+        const overrides = secrets.overrides;
+        const redaction = resolveRedaction(options.redaction);
+        const redactor = redaction ? createRedactor(secretValues(definition, overrides, redaction), redaction.mask) : null;
+        const output = redactor ? redactOutput(options.output || this.output, redactor) : options.output || this.output;
+        const timestamp = reportTimestamp();
         const reportName = `${environment}-${collection}-${timestamp}`;
+        const reportBase = path.join(this.options.reportDir, reportName);
+        const { collection: source, skipped } = this.guardProtected(
+            this.withContract(this.loadCollection(collectionPath, options, output), options.contract, output),
+            definition,
+            environment,
+            options,
+            output
+        );
+        this.checkMissingSecrets(secrets, definition, source, environment, { required: !options.replay, output });
         
-        const newmanArgs = [
-            'run', collectionPath,
-            '-e', environmentPath,
-            '--reporters', 'cli,html,json',
-            '--reporter-html-export', path.join(this.options.reportDir, `${reportName}.html`),
-            '--reporter-json-export', path.join(this.options.reportDir, `${reportName}.json`)
-        ];
+        const { reporters, reporter } = buildReporters(options, reportBase);
+        const htmlReporter = reporters.find(name => REPORTER_EXTENSIONS[name] === 'html');
+        const reportPath = htmlReporter ? reporter[htmlReporter].export : undefined;
+        const jsonReportPath = reporter.json ? reporter.json.export : undefined;
+        
+        const newmanOptions = {
+            collection: source,
+            environment: definition,
+            envVar: [...overrides, ...(options.envVars || [])],
+            reporters,
+            reporter
+        };
         
         // Add additional options
-        if (options.bail) newmanArgs.push('--bail');
-        if (options.verbose) newmanArgs.push('--verbose');
-        if (options.silent) newmanArgs.push('--silent');
-        if (options.timeout) newmanArgs.push('--timeout-request', options.timeout);
-        if (options.delay) newmanArgs.push('--delay-request', options.delay);
-        if (options.iterations) newmanArgs.push('-n', options.iterations);
+        if (options.bail) newmanOptions.bail = true;
+        if (options.verbose) newmanOptions.verbose = true;
+        if (options.silent) newmanOptions.silent = true;
+        if (options.timeout) newmanOptions.timeoutRequest = Number(options.timeout);
+        if (options.delay) newmanOptions.delayRequest = Number(options.delay);
+        if (options.iterations) newmanOptions.iterationCount = Number(options.iterations);
+        if (options.folders && options.folders.length > 0) newmanOptions.folder = options.folders;
         
-        console.log(chalk.cyan(`🚀 Running tests: ${collection} on ${environment}`));
-        console.log(chalk.gray(`Command: newman ${newmanArgs.join(' ')}`));
+        const dataPath = this.resolveDataFile(collection, options.data);
+        const dataRows = dataPath ? loadIterationData(dataPath) : null;
+        if (dataRows) newmanOptions.iterationData = dataRows;
         
-        return new Promise((resolve, reject) => {
-            const newman = spawn('newman', newmanArgs, {
-                stdio: 'inherit',
-                shell: true
-            });
-            
-            newman.on('close', (code) => {
-                if (code === 0) {
-                    console.log(chalk.green(`✅ Tests completed successfully for ${environment}`));
-                    resolve({
-                        success: true,
-                        environment,
-                        collection,
-                        reportPath: path.join(this.options.reportDir, `${reportName}.html`)
-                    });
-                } else {
-                    console.log(chalk.red(`❌ Tests failed for ${environment} (exit code: ${code})`));
-                    resolve({
-                        success: false,
-                        environment,
-                        collection,
-                        exitCode: code,
-                        reportPath: path.join(this.options.reportDir, `${reportName}.html`)
-                    });
-                }
-            });
+        output.log(chalk.cyan(`🚀 Running tests: ${collection} on ${environment}`));
+        if (dataRows) {
+            output.log(chalk.gray(`📄 Iteration data: ${path.basename(dataPath)} (${dataRows.length} row(s))`));
+        }
+        
+        // Replayed runs get every response from the HAR file; nothing is sent to the environment
+        const replay = options.replay ? await this.startReplayServer(options.replay, output) : null;
+        if (replay) {
+            newmanOptions.requestAgents = replay.agents;
+            newmanOptions.insecure = true;
+        }
+        
+        await this.emitEvent('run:start', { collection, environment, dataPath, reportBase });
+        
+        const context = { collection, environment, attempt: 1 };
+        let results = await this.runNewman(newmanOptions, options, output, redactor, context);
+        const attempts = [results];
+        const exportedFiles = Object.values(newmanOptions.reporter).map(entry => entry.export);
+        
+        // Retry retryable failures (see lib/retry.js) until they pass or their policy gives up
+        let plan;
+        while (results.failures.length > 0 && !results.runError && (plan = planRetry(results, {
+            collection,
+            source,
+            retryConfig: options.retry,
+            attempt: attempts.length,
+            iterations: options.iterations
+        }))) {
+            const names = plan.requests.map(request => request.key).join(', ');
+            output.log(chalk.yellow(`🔁 Retrying ${plan.isolate ? names : 'whole run'} in ${plan.delay}ms (attempt ${attempts.length + 1})`));
+            await new Promise(resolve => setTimeout(resolve, plan.delay));
             
-            newman.on('error', (error) => {
-                console.error(chalk.red(`Failed to start newman: ${error.message}`));
-                reject(error);
-            });
+            const retryBase = `${reportBase}-retry${attempts.length}`;
+            const retryOptions = { ...newmanOptions, ...buildReporters(options, retryBase) };
+            exportedFiles.push(...Object.values(retryOptions.reporter).map(entry => entry.export));
+            
+            if (plan.isolate) {
+                const paths = plan.requests.map(request => request.path);
+                retryOptions.collection = buildIsolatedCollection(source, paths);
+                retryOptions.environment = environmentWithValues(definition, results.environmentValues);
+                delete retryOptions.folder;
+                
+                const retry = await this.runNewman(retryOptions, options, output, redactor, { ...context, attempt: attempts.length + 1 });
+                attempts.push(retry);
+                results = { ...mergeRetryResults(results, retry, paths), runError: retry.runError };
+            } else {
+                results = await this.runNewman(retryOptions, options, output, redactor, { ...context, attempt: attempts.length + 1 });
+                attempts.push(results);
+            }
+        }
+        
+        if (replay) {
+            replay.server.close();
+        }
+        
+        let harPath;
+        if (options.record) {
+            // Every attempt's exchanges, in the order they were sent; redacted below with the other reports
+            harPath = `${reportBase}.har`;
+            const entries = attempts.flatMap(attempt => attempt.exchanges || []);
+            fs.writeFileSync(harPath, JSON.stringify(createHar(entries, `${collection} on ${environment}`), null, 2));
+            exportedFiles.push(harPath);
+            output.log(chalk.gray(`📼 Recorded ${entries.length} exchange(s) to ${harPath}`));
+        }
+        
+        if (dataRows) {
+            // Name the data row behind each failure, not just its iteration number
+            results.failures = results.failures.map(failure => ({ ...failure, dataRow: describeRow(dataRows, failure.iteration) }));
+        }
+        
+        const { runError, exchanges, ...finalResults } = results;
+        let flaky = findFlakyRequests(attempts, results);
+        let runResults = finalResults;
+        
+        if (redactor) {
+            // Values set during the run (e.g. a login's auth_token) are only known now
+            redaction.variables.forEach(key => redactor.add(finalResults.environmentValues[key]));
+            
+            // JSON reports first: their header/path masking adds values the other formats must hide too
+            const files = exportedFiles.sort((a, b) => Number(b.endsWith('.json')) - Number(a.endsWith('.json')));
+            files.forEach(file => redactFile(file, redactor, redaction));
+            
+            flaky = redactor.redactValue(flaky);
+            runResults = redactor.redactValue(finalResults);
+        }
+        
+        const flakinessReportPath = `${reportBase}-flakiness.json`;
+        fs.writeFileSync(flakinessReportPath, JSON.stringify({
+            collection,
+            environment,
+            timestamp: new Date().toISOString(),
+            attempts: attempts.length,
+            flaky
+        }, null, 2));
+        
+        const { latency, violations: budgetViolations } = checkBudgets(
+            computeLatency(runResults.executions),
+            resolveBudgets(source, options.budgets, { collection, environment })
+        );
+        const success = !runError && runResults.failures.length === 0 && budgetViolations.length === 0;
+        
+        budgetViolations.forEach(violation => {
+            output.log(chalk.red(`⏱️  ${violation.request}: ${violation.metric} ${violation.actual}ms exceeds budget of ${violation.budget}ms`));
         });
+        
+        if (success) {
+            output.log(chalk.green(`✅ Tests completed successfully for ${environment}`));
+        } else {
+            const problems = runResults.failures.length + budgetViolations.length;
+            output.log(chalk.red(`❌ Tests failed for ${environment} (${problems} failure(s))`));
+        }
+        
+        const result = {
+            success,
+            environment,
+            collection,
+            reportPath,
+            jsonReportPath,
+            flakinessReportPath,
+            harPath,
+            dataPath,
+            attempts: attempts.length,
+            flaky,
+            skipped,
+            ...runResults,
+            latency,
+            budgetViolations
+        };
+        
+        await this.emitEvent('run:done', result);
+        return result;
     }
     
     /**
-     * Run tests for multiple environments
+     * Resolve an environment's secret placeholders into Newman --env-var overrides.
+     * Returns { overrides, missing, file }; see checkMissingSecrets for what happens to `missing`.
      */
-    async runMultipleTests(collection, environments, options = {}) {
-        const results = [];
+    resolveEnvironmentSecrets(definition, environment) {
+        return resolveSecrets(definition, environment, { rootDir: this.options.secretsDir });
+    }
+    
+    /**
+     * Fail on missing secrets the collection reads and warn about those it never uses.
+     * With `required: false` (replayed runs) missing secrets are only reported.
+     */
+    checkMissingSecrets({ missing, file }, definition, collection, environment, { required = true, output = this.output } = {}) {
+        if (missing.length === 0) return;
         
-        for (const environment of environments) {
-            try {
-                const result = await this.runTests(collection, environment, options);
-                results.push(result);
+        const { needed, unused } = partitionMissing(missing, definition, collectionReferences(collection));
+        const describe = entries => entries.map(entry => `${entry.name} (for ${entry.key})`).join(', ');
+        
+        if (unused.length > 0) {
+            output.log(chalk.yellow(`⚠️  Secrets not set for ${environment}, not used by this collection: ${describe(unused)}`));
+        }
+        if (needed.length === 0) return;
+        
+        if (!required) {
+            output.log(chalk.yellow(`⚠️  Missing secrets for ${environment}: ${describe(needed)}; continuing without them`));
+            return;
+        }
+        throw new Error(`Missing secrets for ${environment}: ${describe(needed)}. Set them in the process environment or ${file}`);
+    }
+    
+    /**
+     * Run Newman once and collect its results.
+     * `context` ({ collection, environment, attempt }) is passed along with request:done and assertion:failed.
+     */
+    runNewman(newmanOptions, options, output, redactor, context = {}) {
+        return new Promise((resolve, reject) => {
+            // Newman's CLI reporter writes straight to stdout, so mask it there
+            const restoreStdout = redactor && newmanOptions.reporters.includes('cli') ? redactStdout(redactor) : () => {};
+            
+            const run = newman.run(newmanOptions, (error, summary) => {
+                restoreStdout();
                 
-                // Add delay between environment tests if specified
-                if (options.environmentDelay && environment !== environments[environments.length - 1]) {
-                    console.log(chalk.yellow(`⏳ Waiting ${options.environmentDelay}ms before next environment...`));
-                    await new Promise(resolve => setTimeout(resolve, options.environmentDelay));
+                if (error) {
+                    output.error(chalk.red(`Failed to run newman: ${error.message}`));
+                    reject(error);
+                    return;
                 }
-            } catch (error) {
-                console.error(chalk.red(`Error running tests for ${environment}: ${error.message}`));
-                results.push({
-                    success: false,
-                    environment,
-                    collection,
-                    error: error.message
-                });
+                
+                const results = { ...collectRunResults(summary), runError: summary.run.error };
+                if (responses) results.responses = responses;
+                if (exchanges) results.exchanges = exchanges;
+                resolve(results);
+            });
+            
+            const responses = options.captureResponses ? captureResponses(run) : undefined;
+            const exchanges = options.record ? recordExchanges(run, context) : undefined;
+            
+            if (redactor) {
+                collectSensitiveValues(run, redactor, resolveRedaction(options.redaction));
             }
-        }
-        
-        return results;
+            
+            if (options.output && !options.silent) {
+                reportRunProgress(run, output);
+            }
+            
+            forwardRunEvents(run, this, context, redactor);
+        });
     }
     
     /**
-     * Generate summary report
+     * Run a collection against several environments and diff each environment's responses
+     * (status, headers and JSON body structure) against the first environment's
      */
-    generateSummary(results) {
-        console.log('\n' + '='.repeat(60));
-        console.log(chalk.cyan.bold('📊 TEST SUMMARY'));
-        console.log('='.repeat(60));
+    async diffEnvironments(collection, environments, options = {}) {
+        if (environments.length < 2) {
+            throw new Error('Response diffing needs at least two environments');
+        }
         
-        const successful = results.filter(r => r.success);
-        const failed = results.filter(r => !r.success);
+        const diffOptions = { ...(this.config.defaults.diff || {}), ...(options.diff || {}) };
+        const results = await this.runMatrix([collection], environments, { ...options, captureResponses: true });
         
-        console.log(`${chalk.green('✅ Successful:')} ${successful.length}`);
-        console.log(`${chalk.red('❌ Failed:')} ${failed.length}`);
-        console.log(`${chalk.blue('📈 Total:')} ${results.length}`);
+        const captures = {};
+        results.forEach(result => {
+            if (result.responses) {
+                captures[result.environment] = result.responses;
+            } else {
+                this.output.log(chalk.yellow(`⚠ No responses captured for ${result.environment}; it is left out of the diff`));
+            }
+        });
         
-        if (successful.length > 0) {
-            console.log('\n' + chalk.green('Successful tests:'));
-            successful.forEach(result => {
-                console.log(`  ${chalk.green('✓')} ${result.environment} - ${result.collection}`);
-            });
+        if (Object.keys(captures).length < 2) {
+            throw new Error('Not enough environments ran successfully to diff');
         }
         
-        if (failed.length > 0) {
-            console.log('\n' + chalk.red('Failed tests:'));
-            failed.forEach(result => {
-                console.log(`  ${chalk.red('✗')} ${result.environment} - ${result.collection}${result.exitCode ? ` (exit code: ${result.exitCode})` : ''}`);
+        const diffs = diffEnvironments(captures, diffOptions);
+        
+        this.output.log('\n' + '='.repeat(60));
+        this.output.log(chalk.cyan.bold(`🔀 RESPONSE DIFF: ${collection}`));
+        this.output.log('='.repeat(60));
+        
+        diffs.forEach(diff => {
+            this.output.log('\n' + chalk.blue(`${diff.reference} → ${diff.environment}:`));
+            if (diff.requests.length === 0) this.output.log(chalk.green('  no differences'));
+            
+            diff.requests.forEach(request => {
+                const label = request.iteration > 0 ? `${request.request} (iteration ${request.iteration + 1})` : request.request;
+                if (request.missing) {
+                    this.output.log(`  ${chalk.yellow('?')} ${label}: no response in ${request.missing}`);
+                    return;
+                }
+                
+                this.output.log(`  ${chalk.red('≠')} ${label}`);
+                request.differences.forEach(difference => {
+                    this.output.log(`      ${formatDifference(difference)}`);
+                });
             });
-        }
+        });
+        
+        const timestamp = reportTimestamp();
+        const reportPath = path.join(this.options.reportDir, `env-diff-${collection}-${timestamp}.json`);
+        fs.writeFileSync(reportPath, JSON.stringify({ collection, environments, options: diffOptions, diffs }, null, 2));
         
-        console.log('\n' + chalk.blue('Reports generated in:'), this.options.reportDir);
-        console.log('='.repeat(60));
+        this.output.log('\n' + chalk.blue('Diff report:'), reportPath);
+        this.output.log('='.repeat(60));
         
         return {
-            total: results.length,
-            successful: successful.length,
-            failed: failed.length,
-            results
+            results,
+            diffs,
+            reportPath,
+            differences: diffs.reduce((count, diff) => count + diff.requests.length, 0)
         };
     }
-}
-
-/**
- * CLI interface
- */
-async function main() {
-    const args = process.argv.slice(2);
     
-    if (args.length === 0) {
-        console.log(chalk.cyan('Postman Test Runner'));
-        console.log('Usage: node run-tests.js <collection> <environment1,environment2,...> [options]');
-        console.log('\nExamples:');
-        console.log('  node run-tests.js api-tests dev');
-        console.log('  node run-tests.js api-tests dev,qa,staging');
-        console.log('  node run-tests.js health-check dev --bail --verbose');
-        process.exit(0);
+    /**
+     * Run a collection (or some of its folders) with concurrent virtual users, for a duration
+     * or a number of iterations per user, and check the results against `load.thresholds`
+     * (see lib/load.js). Users start one by one over the ramp-up period and keep the
+     * variables their iterations set, like a session would.
+     */
+    async runLoad(collection, environment, options = {}) {
+        const settings = { ...DEFAULT_LOAD, ...(this.config.defaults.load || {}), ...(options.load || {}) };
+        const users = Number(settings.users);
+        const duration = parseDuration(settings.duration);
+        const iterations = Number(settings.iterations);
+        const rampUp = parseDuration(settings.rampUp, 'ramp-up') || 0;
+        
+        if (!Number.isInteger(users) || users < 1) {
+            throw new Error(`Load "users" must be a positive whole number, got ${settings.users}`);
+        }
+        if (duration === undefined && (!Number.isInteger(iterations) || iterations < 1)) {
+            throw new Error(`Load "iterations" must be a positive whole number, got ${settings.iterations}`);
+        }
+        
+        const collectionPath = path.join(this.options.collectionsDir, `${collection}.postman_collection.json`);
+        if (!fs.existsSync(collectionPath)) {
+            throw new Error(`Collection not found: ${collectionPath}`);
+        }
+        if (readEnvironment(this.options.environmentsDir, environment).abstract) {
+            throw new Error(`Environment ${environment} is abstract; run one of the environments that extend it`);
+        }
+        
+        const definition = resolveEnvironment(this.options.environmentsDir, environment);
+        const secrets = this.resolveEnvironmentSecrets(definition, environment);
+        const { collection: source, skipped } = this.guardProtected(this.loadCollection(collectionPath, options), definition, environment, options);
+        this.checkMissingSecrets(secrets, definition, source, environment);
+        const newmanOptions = { collection: source, envVar: [...secrets.overrides, ...(options.envVars || [])], reporters: [] };
+        if (options.timeout) newmanOptions.timeoutRequest = Number(options.timeout);
+        if (options.folders && options.folders.length > 0) newmanOptions.folder = options.folders;
+        
+        const plan = duration !== undefined ? `for ${duration}ms` : `${iterations} iteration(s) each`;
+        this.output.log(chalk.cyan(`🏋️  Load test: ${collection} on ${environment}, ${users} virtual user(s) ${plan}${rampUp > 0 ? `, ramping up over ${rampUp}ms` : ''}`));
+        
+        const samples = [];
+        const started = Date.now();
+        const deadline = duration !== undefined ? started + duration : Infinity;
+        const progress = setInterval(() => {
+            const failed = samples.filter(sample => sample.failed).length;
+            this.output.log(chalk.gray(`   ${Math.round((Date.now() - started) / 1000)}s: ${samples.length} request(s), ${failed} failed`));
+        }, 5000);
+        progress.unref();
+        
+        const virtualUser = async index => {
+            await new Promise(resolve => setTimeout(resolve, Math.round((rampUp * index) / users)));
+            
+            let state = definition;
+            for (let iteration = 0; duration !== undefined ? Date.now() < deadline : iteration < iterations; iteration++) {
+                state = await this.runLoadIteration({ ...newmanOptions, environment: state }, samples);
+            }
+        };
+        
+        try {
+            await Promise.all(Array.from({ length: users }, (value, index) => virtualUser(index)));
+        } finally {
+            clearInterval(progress);
+        }
+        
+        const finished = new Date();
+        const summary = summarizeLoad(samples, finished - started);
+        const violations = checkLoadThresholds(summary, settings.thresholds);
+        this.printLoad(summary, violations);
+        
+        const reportPath = path.join(this.options.reportDir, `load-${environment}-${collection}-${reportTimestamp(finished)}.json`);
+        fs.writeFileSync(reportPath, JSON.stringify({
+            collection,
+            environment,
+            timestamp: finished.toISOString(),
+            settings: { users, duration, iterations: duration === undefined ? iterations : undefined, rampUp, thresholds: settings.thresholds },
+            skipped,
+            ...summary,
+            violations
+        }, null, 2));
+        this.output.log(chalk.blue('Load report:'), reportPath);
+        
+        return { success: violations.length === 0, collection, environment, reportPath, skipped, ...summary, violations };
     }
     
-    const collection = args[0];
-    const environments = args[1] ? args[1].split(',') : ['dev'];
+    /**
+     * Run one load iteration and add a sample per request sent. A request fails when it
+     * errors or any of its assertions fail. Resolves with the environment the next iteration starts from.
+     */
+    runLoadIteration(newmanOptions, samples) {
+        return new Promise((resolve, reject) => {
+            let current = null;
+            
+            const run = newman.run(newmanOptions, (error, summary) => {
+                if (error) {
+                    reject(error);
+                    return;
+                }
+                resolve(summary.environment.toJSON());
+            });
+            
+            const currentItem = trackCurrentItem(run);
+            run.on('request', (error, args) => {
+                current = {
+                    request: currentItem(),
+                    responseTime: args.response ? args.response.responseTime : undefined,
+                    failed: Boolean(error)
+                };
+                samples.push(current);
+            });
+            run.on('assertion', error => {
+                if (error && current) current.failed = true;
+            });
+        });
+    }
     
-    const options = {};
-    if (args.includes('--bail')) options.bail = true;
-    if (args.includes('--verbose')) options.verbose = true;
-    if (args.includes('--silent')) options.silent = true;
+    /**
+     * Print a load summary: one row per request with a latency histogram, then the threshold violations
+     */
+    printLoad(summary, violations) {
+        const bars = ' ▁▂▃▄▅▆▇█';
+        const sparkline = histogram => {
+            const most = Math.max(...histogram.map(bucket => bucket.count), 1);
+            return histogram.map(bucket => bars[bucket.count === 0 ? 0 : Math.max(1, Math.round((bucket.count / most) * 8))]).join('');
+        };
+        const cell = (value, width) => String(value === undefined ? '-' : value).padStart(width);
+        
+        this.output.log('\n' + '='.repeat(60));
+        this.output.log(chalk.cyan.bold('🏋️  LOAD TEST SUMMARY'));
+        this.output.log('='.repeat(60));
+        this.output.log(`${summary.total} request(s) in ${(summary.elapsed / 1000).toFixed(1)}s: ${summary.throughput} req/s, ${summary.errorRate}% failed`);
+        this.output.log(chalk.gray(`Histogram buckets (ms): ${HISTOGRAM_BUCKETS.map(le => `≤${le}`).join(' ')} >${HISTOGRAM_BUCKETS[HISTOGRAM_BUCKETS.length - 1]}`));
+        
+        this.output.log(chalk.bold(`\n  ${'Request'.padEnd(40)}${'n'.padStart(6)}${'req/s'.padStart(8)}${'err%'.padStart(7)}${'p50'.padStart(7)}${'p95'.padStart(7)}${'p99'.padStart(7)}${'max'.padStart(7)}  Histogram`));
+        summary.requests.forEach(row => {
+            const line = `  ${row.request.slice(0, 39).padEnd(40)}${cell(row.count, 6)}${cell(row.throughput, 8)}${cell(row.errorRate, 7)}${cell(row.p50, 7)}${cell(row.p95, 7)}${cell(row.p99, 7)}${cell(row.max, 7)}  ${sparkline(row.histogram)}`;
+            this.output.log(violations.some(violation => violation.request === row.request) ? chalk.red(line) : line);
+        });
+        
+        if (violations.length === 0) {
+            this.output.log('\n' + chalk.green('✅ All load thresholds met'));
+        } else {
+            this.output.log('\n' + chalk.red(`❌ ${violations.length} load threshold(s) exceeded:`));
+            violations.forEach(violation => this.output.log(`  ${chalk.red('•')} ${formatViolation(violation)}`));
+        }
+    }
     
-    const timeoutIndex = args.indexOf('--timeout');
-    if (timeoutIndex !== -1 && args[timeoutIndex + 1]) {
-        options.timeout = args[timeoutIndex + 1];
+    /**
+     * Serve the requests of the given collections from a local HTTP server and point
+     * the `local` environment's base_url at it
+     */
+    startMockServer(collections, options = {}) {
+        const port = options.port !== undefined ? Number(options.port) : DEFAULT_MOCK_PORT;
+        const sources = collections.map(collection => {
+            const collectionPath = path.join(this.options.collectionsDir, `${collection}.postman_collection.json`);
+            if (!fs.existsSync(collectionPath)) {
+                throw new Error(`Collection not found: ${collectionPath}`);
+            }
+            return JSON.parse(fs.readFileSync(collectionPath, 'utf8'));
+        });
+        
+        const mock = createMockHandler(sources);
+        const server = http.createServer((req, res) => {
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => {
+                const response = mock.handle({
+                    method: req.method,
+                    url: req.url,
+                    headers: req.headers,
+                    body: Buffer.concat(chunks).toString()
+                });
+                
+                const source = response.route ? chalk.gray(`(${response.route.name})`) : chalk.yellow('(no match)');
+                this.output.log(`  ${req.method} ${req.url} → ${response.status} ${source}`);
+                res.writeHead(response.status, response.headers);
+                res.end(response.body);
+            });
+        });
+        
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, options.host || 'localhost', () => {
+                const baseUrl = `http://localhost:${server.address().port}`;
+                
+                this.output.log(chalk.cyan(`🧪 Mock server for ${collections.join(', ')} listening on ${baseUrl}`));
+                this.output.log(chalk.gray(`   ${mock.routes.length} request(s), ${mock.routes.filter(route => route.examples.length > 0).length} with saved examples`));
+                this.output.log(chalk.gray(`   Run against it with: ${this.mockRunCommand(baseUrl)}`));
+                resolve(server);
+            });
+        });
     }
     
-    const delayIndex = args.indexOf('--delay');
-    if (delayIndex !== -1 && args[delayIndex + 1]) {
-        options.delay = args[delayIndex + 1];
+    /**
+     * Get the command that runs the mock environment against a mock server. The environment
+     * file is left alone; a different base_url is passed as an --env-var override.
+     */
+    mockRunCommand(baseUrl) {
+        const command = `node scripts/run-tests.js <collection> ${MOCK_ENVIRONMENT}`;
+        const environmentPath = path.join(this.options.environmentsDir, `${MOCK_ENVIRONMENT}.postman_environment.json`);
+        const variable = fs.existsSync(environmentPath)
+            ? (resolveEnvironment(this.options.environmentsDir, MOCK_ENVIRONMENT).values || []).find(value => value.key === 'base_url')
+            : undefined;
+        
+        return variable && variable.value === baseUrl ? command : `${command} --env-var base_url=${baseUrl}`;
     }
     
-    const iterationsIndex = args.indexOf('--iterations');
-    if (iterationsIndex !== -1 && args[iterationsIndex + 1]) {
-        options.iterations = args[iterationsIndex + 1];
+    /**
+     * Serve the responses recorded in a HAR file from a local server on a free port.
+     * Resolves with the server and the request agents that send a run's requests to it.
+     */
+    startReplayServer(harPath, output = this.output) {
+        const file = path.resolve(harPath);
+        const replay = createReplayHandler(loadHar(file));
+        const server = http.createServer((req, res) => {
+            // Drain the request body; replayed responses are picked by method and URL
+            req.resume();
+            req.on('end', () => {
+                const response = replay.handle({ method: req.method, host: req.headers.host, url: req.url });
+                if (!response.entry) {
+                    output.log(chalk.yellow(`  ${req.method} ${req.headers.host}${req.url} → no recorded response`));
+                }
+                res.writeHead(response.status, response.headers);
+                res.end(response.body);
+            });
+        });
+        
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(0, 'localhost', () => {
+                // Never keep the process alive for a run that failed before closing it
+                server.unref();
+                output.log(chalk.cyan(`📼 Replaying ${replay.size} recorded exchange(s) from ${path.basename(file)}`));
+                resolve({ server, agents: createRedirectAgents(server.address().port) });
+            });
+        });
     }
     
-    try {
-        const runner = new TestRunner();
-        const results = await runner.runMultipleTests(collection, environments, options);
-        const summary = runner.generateSummary(results);
+    /**
+     * Generate a collection with baseline tests from an OpenAPI 3 spec and write it to the collections directory
+     */
+    importOpenApi(specPath, options = {}) {
+        if (!fs.existsSync(specPath)) {
+            throw new Error(`OpenAPI spec not found: ${specPath}`);
+        }
         
-        // Exit with error code if any tests failed
-        process.exit(summary.failed > 0 ? 1 : 0);
+        const spec = loadSpec(specPath);
+        const collection = buildCollection(spec, { name: options.title });
+        const name = options.name || collection.info.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        const collectionPath = path.join(this.options.collectionsDir, `${name}.postman_collection.json`);
+        
+        if (fs.existsSync(collectionPath) && !options.force) {
+            throw new Error(`Collection already exists: ${collectionPath} (use --force to overwrite)`);
+        }
+        
+        fs.writeFileSync(collectionPath, JSON.stringify(collection, null, '\t') + '\n');
+        
+        const requests = collection.item.reduce((count, item) => count + (item.item ? item.item.length : 1), 0);
+        const folders = collection.item.filter(item => item.item).length;
+        this.output.log(chalk.green(`✅ Imported ${requests} request(s) in ${folders} folder(s) from ${path.basename(specPath)}`));
+        this.output.log(chalk.gray(`   ${collectionPath}`));
+        
+        if (!validateCollection(collectionPath)) {
+            throw new Error(`Generated collection is not valid: ${collectionPath}`);
+        }
+        
+        return collectionPath;
+    }
+    
+    /**
+     * Append the results of a matrix run to the history store
+     */
+    recordHistory(results) {
+        const runId = new Date().toISOString();
+        appendHistory(this.options.historyPath, results.map(result => createHistoryEntry(result, runId)));
+    }
+    
+    /**
+     * Print trends from the history store and export them as HTML
+     */
+    generateTrends(options = {}) {
+        const trends = analyzeTrends(loadHistory(this.options.historyPath), {
+            streak: Number(options.streak) || 3,
+            limit: Number(options.limit) || 20
+        });
+        
+        this.output.log('\n' + '='.repeat(60));
+        this.output.log(chalk.cyan.bold(`📈 TEST TRENDS (last ${trends.runs} run(s))`));
+        this.output.log('='.repeat(60));
+        
+        this.output.log('\n' + chalk.blue('Pass rate per environment:'));
+        Object.entries(trends.passRates).forEach(([environment, rates]) => {
+            const series = rates.map(rate => {
+                const text = rate.passRate === null ? '-' : `${rate.passRate}%`;
+                return rate.passRate === 100 ? chalk.green(text) : chalk.red(text);
+            });
+            this.output.log(`  ${environment.padEnd(12)} ${series.join(' → ')}`);
+        });
+        
+        this.output.log('\n' + chalk.blue('Slowest requests:'));
+        trends.slowestRequests.forEach(request => {
+            this.output.log(`  ${String(request.average).padStart(6)}ms  ${request.collection} › ${request.request} ${chalk.gray(`(max ${request.max}ms, ${request.samples} samples)`)}`);
+        });
+        
+        this.output.log('\n' + chalk.blue('Newly failing tests:'));
+        if (trends.newlyFailing.length === 0) this.output.log(chalk.gray('  none'));
+        trends.newlyFailing.forEach(test => {
+            this.output.log(`  ${chalk.red('✗')} ${test.environment} - ${test.collection}: ${test.test}`);
+        });
+        
+        this.output.log('\n' + chalk.blue(`Failing ${trends.streak}+ runs in a row:`));
+        if (trends.failingStreaks.length === 0) this.output.log(chalk.gray('  none'));
+        trends.failingStreaks.forEach(test => {
+            this.output.log(`  ${chalk.red('✗')} ${test.environment} - ${test.collection}: ${test.test} ${chalk.gray(`(${test.runs} runs)`)}`);
+        });
+        
+        const htmlPath = options.html || path.join(this.options.reportDir, 'trends.html');
+        fs.writeFileSync(htmlPath, renderTrendsHtml(trends));
+        this.output.log('\n' + chalk.blue('Trends report:'), htmlPath);
+        this.output.log('='.repeat(60));
         
+        return trends;
+    }
+    
+    /**
+     * Find the newest Newman JSON report written by runTests for a collection/environment
+     */
+    findLatestReport(collection, environment) {
+        const pattern = new RegExp(`^${escapeRegExp(`${environment}-${collection}-`)}\\d{4}-\\d{2}-\\d{2}T[\\d-]+Z\\.json$`);
+        const reports = fs.readdirSync(this.options.reportDir)
+            .filter(file => pattern.test(file))
+            .sort();
+        
+        if (reports.length === 0) {
+            throw new Error(`No JSON report found for ${collection} on ${environment} in ${this.options.reportDir}`);
+        }
+        
+        return path.join(this.options.reportDir, reports[reports.length - 1]);
+    }
+    
+    /**
+     * Get the path of the saved baseline for a collection/environment
+     */
+    getBaselinePath(collection, environment) {
+        return path.join(this.options.baselineDir, `${environment}-${collection}.json`);
+    }
+    
+    /**
+     * Save a report (the latest run by default) as the baseline for a collection/environment
+     */
+    saveBaseline(collection, environment, reportPath) {
+        const source = reportPath || this.findLatestReport(collection, environment);
+        const baselinePath = this.getBaselinePath(collection, environment);
+        
+        fs.mkdirSync(this.options.baselineDir, { recursive: true });
+        fs.copyFileSync(source, baselinePath);
+        this.output.log(chalk.green(`✅ Saved baseline ${baselinePath}`));
+        this.output.log(chalk.gray(`   from ${source}`));
+        
+        return baselinePath;
+    }
+    
+    /**
+     * Compare two Newman JSON reports and print assertion, request and response-time changes
+     */
+    compareRuns(currentPath, baselinePath, options = {}) {
+        [currentPath, baselinePath].forEach(file => {
+            if (!fs.existsSync(file)) {
+                throw new Error(`Report not found: ${file}`);
+            }
+        });
+        
+        const comparison = compareReports(
+            JSON.parse(fs.readFileSync(baselinePath, 'utf8')),
+            JSON.parse(fs.readFileSync(currentPath, 'utf8')),
+            {
+                threshold: options.threshold !== undefined ? Number(options.threshold) : undefined,
+                minDelta: options.minDelta !== undefined ? Number(options.minDelta) : undefined
+            }
+        );
+        
+        this.output.log('\n' + '='.repeat(60));
+        this.output.log(chalk.cyan.bold('🔍 RUN COMPARISON'));
+        this.output.log('='.repeat(60));
+        this.output.log(`${chalk.blue('Baseline:')} ${baselinePath}`);
+        this.output.log(`${chalk.blue('Current:')}  ${currentPath}`);
+        
+        const section = (title, items, format) => {
+            this.output.log('\n' + title);
+            if (items.length === 0) this.output.log(chalk.gray('  none'));
+            items.forEach(item => this.output.log(`  ${format(item)}`));
+        };
+        
+        section(chalk.red('Newly failing assertions:'), comparison.newlyFailing,
+            item => `${chalk.red('✗')} ${item.test}${item.inBaseline ? '' : chalk.gray(' (new test)')}`);
+        section(chalk.green('Newly passing assertions:'), comparison.newlyPassing,
+            item => `${chalk.green('✓')} ${item.test}`);
+        section(chalk.blue('Added requests:'), comparison.addedRequests, request => `+ ${request}`);
+        section(chalk.blue('Removed requests:'), comparison.removedRequests, request => `- ${request}`);
+        section(chalk.yellow(`Response-time regressions (> ${comparison.threshold}% and ≥ ${comparison.minDelta}ms):`), comparison.slower,
+            item => `${chalk.yellow('▲')} ${item.request}: ${item.baseline}ms → ${item.current}ms (+${item.change}%)`);
+        
+        this.output.log('\n' + (comparison.regressions > 0
+            ? chalk.red(`❌ ${comparison.regressions} regression(s) found`)
+            : chalk.green('✅ No regressions')));
+        this.output.log('='.repeat(60));
+        
+        return comparison;
+    }
+    
+    /**
+     * Load a collection for a run, applying the tag filter from `options.tags` / `options.excludeTags`
+     */
+    loadCollection(collectionPath, options, output = this.output) {
+        const source = JSON.parse(fs.readFileSync(collectionPath, 'utf8'));
+        const hasTagFilter = (options.tags && options.tags.length > 0) ||
+            (options.excludeTags && options.excludeTags.length > 0);
+        
+        if (!hasTagFilter) {
+            return source;
+        }
+        
+        const { collection, removed } = filterCollectionByTags(source, {
+            include: options.tags,
+            exclude: options.excludeTags
+        });
+        
+        if (collection.item.length === 0) {
+            throw new Error(`No requests in ${path.basename(collectionPath)} match the tag filter`);
+        }
+        
+        if (removed.length > 0) {
+            output.log(chalk.gray(`🏷️  Tag filter skipped ${removed.length} request(s): ${removed.join(', ')}`));
+        }
+        
+        return collection;
+    }
+    
+    /**
+     * Find the iteration data file for a collection. `data` is a file name or path, or a map
+     * of collection names to one; bare names are looked up in the data directory.
+     */
+    resolveDataFile(collection, data) {
+        const file = data && typeof data === 'object' ? data[collection] : data;
+        if (!file) {
+            return undefined;
+        }
+        
+        const candidates = path.isAbsolute(file) ? [file] : [path.resolve(file), path.join(this.options.dataDir, file)];
+        const found = candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+        if (!found) {
+            throw new Error(`Iteration data not found: ${file} (looked in ${path.dirname(candidates[candidates.length - 1])})`);
+        }
+        
+        return found;
+    }
+    
+    /**
+     * Add contract tests against an OpenAPI spec to a collection, when a contract is configured
+     */
+    withContract(collection, contractPath, output = this.output) {
+        if (!contractPath) {
+            return collection;
+        }
+        
+        const specPath = path.resolve(contractPath);
+        if (!fs.existsSync(specPath)) {
+            throw new Error(`Contract not found: ${specPath}`);
+        }
+        
+        output.log(chalk.gray(`📜 Checking responses against ${path.basename(specPath)}`));
+        return addContractTests(collection, loadSpec(specPath), path.basename(specPath));
+    }
+    
+    /**
+     * Hold back mutating requests on a protected environment (see lib/protection.js).
+     * In `refuse` mode any held-back request fails the run instead. Interactive runs that would
+     * still send an allow-listed mutating request must name the environment in `options.confirm`.
+     * Returns the collection to run and the skipped requests.
+     */
+    guardProtected(collection, definition, environment, options, output = this.output) {
+        const policy = protectionPolicy(definition, environment);
+        if (!policy) {
+            return { collection, skipped: [] };
+        }
+        
+        // Only the requests --folder selects are sent, so only those are checked and counted
+        const { collection: guarded, skipped, mutating, runnable } = guardCollection(collection, policy, environment, options.folders);
+        const blocked = skipped.filter(entry => MUTATING_METHODS.includes(entry.method));
+        if (blocked.length > 0 && policy.mode === 'refuse') {
+            const requests = blocked.map(entry => `${entry.method} ${entry.request}`).join(', ');
+            throw new Error(`Environment ${environment} refuses mutating requests: ${requests}. Allow-list them in "protected.allow" or leave them out with --folder or --exclude-tags`);
+        }
+        if (runnable === 0) {
+            throw new Error(`No requests in ${collection.info ? collection.info.name : 'the collection'} can run on protected environment ${environment}`);
+        }
+        if (mutating.length > 0 && this.options.interactive && !(options.confirm || []).includes(environment)) {
+            throw new Error(`Environment ${environment} is protected and this run sends ${mutating.join(', ')}; pass --confirm ${environment} to run it`);
+        }
+        
+        if (skipped.length > 0) {
+            output.log(chalk.yellow(`🛡️  ${environment} is protected; skipped ${skipped.length} request(s):`));
+            skipped.forEach(entry => output.log(chalk.yellow(`   • ${entry.method} ${entry.request}: ${entry.reason}`)));
+        }
+        
+        return { collection: guarded, skipped };
+    }
+    
+    /**
+     * Resolve a collection spec (name, comma-separated names or glob) to collection names
+     */
+    resolveCollections(spec) {
+        if (Array.isArray(spec)) {
+            spec = spec.join(',');
+        }
+        
+        const available = fs.readdirSync(this.options.collectionsDir)
+            .filter(file => file.endsWith('.postman_collection.json'))
+            .map(file => file.replace('.postman_collection.json', ''))
+            .sort();
+        
+        if (spec === undefined || spec === '*') {
+            return available;
+        }
+        
+        const collections = [];
+        spec.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+            const matches = /[*?]/.test(part)
+                ? available.filter(name => globToRegExp(part).test(name))
+                : [part];
+            
+            if (matches.length === 0) {
+                throw new Error(`No collections match: ${part}`);
+            }
+            matches.forEach(name => {
+                if (!collections.includes(name)) collections.push(name);
+            });
+        });
+        
+        return collections;
+    }
+    
+    /**
+     * Run tests for multiple environments
+     */
+    async runMultipleTests(collection, environments, options = {}) {
+        return this.runMatrix([collection], environments, options);
+    }
+    
+    /**
+     * Run every collection against every environment.
+     * Results are ordered by collection, then environment.
+     */
+    async runMatrix(collections, environments, options = {}) {
+        // Catch a mistyped summary reporter before the runs, not after
+        checkSummaryReporters(options.summaryReporters);
+        
+        const jobs = [];
+        collections.forEach(collection => {
+            environments.forEach(environment => jobs.push({ collection, environment }));
+        });
+        
+        await this.emitEvent('matrix:start', { collections, environments, jobs });
+        
+        const results = options.parallel && Number(options.parallel) > 1
+            ? await this.runParallelTests(jobs, options)
+            : await this.runSequentialTests(jobs, options);
+        
+        if (options.history !== false) {
+            this.recordHistory(results);
+        }
+        
+        await this.emitEvent('matrix:done', { results });
+        await this.settleEvents();
+        
+        return results;
+    }
+    
+    /**
+     * Run collection/environment jobs one after another
+     */
+    async runSequentialTests(jobs, options = {}) {
+        const results = [];
+        
+        for (const [index, job] of jobs.entries()) {
+            try {
+                const result = await this.runTests(job.collection, job.environment, options);
+                results.push(result);
+                
+                // Add delay between environment tests if specified
+                if (options.environmentDelay && index !== jobs.length - 1) {
+                    this.output.log(chalk.yellow(`⏳ Waiting ${options.environmentDelay}ms before next environment...`));
+                    await new Promise(resolve => setTimeout(resolve, options.environmentDelay));
+                }
+            } catch (error) {
+                this.output.error(chalk.red(`Error running tests for ${job.environment}: ${error.message}`));
+                const result = failedResult(job.collection, job.environment, error);
+                await this.emitEvent('run:done', result);
+                results.push(result);
+            }
+        }
+        
+        return results;
+    }
+    
+    /**
+     * Run collection/environment jobs concurrently, at most `options.parallel` at a time
+     * and at most `options.environmentConcurrency` (default 1) against any single environment.
+     * Each run's output is buffered and printed once it completes; results keep input order.
+     */
+    async runParallelTests(jobs, options = {}) {
+        this.output.log(chalk.cyan(`⚡ Running ${jobs.length} test run(s), ${options.parallel} at a time`));
+        
+        return runWithConcurrency(jobs, {
+            concurrency: Number(options.parallel),
+            keyOf: job => job.environment,
+            keyConcurrency: Number(options.environmentConcurrency) || 1
+        }, async (job) => {
+            const output = createBufferedOutput(this.output);
+            
+            try {
+                return await this.runTests(job.collection, job.environment, { ...options, output });
+            } catch (error) {
+                output.error(chalk.red(`Error running tests for ${job.environment}: ${error.message}`));
+                const result = failedResult(job.collection, job.environment, error);
+                await this.emitEvent('run:done', result);
+                return result;
+            } finally {
+                output.flush();
+            }
+        });
+    }
+    
+    /**
+     * Generate summary report. `options.summaryReporters` selects the matrix-wide reports
+     * to write as well (see writeSummaryReports).
+     */
+    generateSummary(results, options = {}) {
+        this.output.log('\n' + '='.repeat(60));
+        this.output.log(chalk.cyan.bold('📊 TEST SUMMARY'));
+        this.output.log('='.repeat(60));
+        
+        const successful = results.filter(r => r.success);
+        const failed = results.filter(r => !r.success);
+        
+        this.output.log(`${chalk.green('✅ Successful:')} ${successful.length}`);
+        this.output.log(`${chalk.red('❌ Failed:')} ${failed.length}`);
+        this.output.log(`${chalk.blue('📈 Total:')} ${results.length}`);
+        
+        if (successful.length > 0) {
+            this.output.log('\n' + chalk.green('Successful tests:'));
+            successful.forEach(result => {
+                this.output.log(`  ${chalk.green('✓')} ${result.environment} - ${result.collection}${formatStats(result)}`);
+            });
+        }
+        
+        if (failed.length > 0) {
+            this.output.log('\n' + chalk.red('Failed tests:'));
+            failed.forEach(result => {
+                this.output.log(`  ${chalk.red('✗')} ${result.environment} - ${result.collection}${formatStats(result)}`);
+                if (result.error) {
+                    this.output.log(`      ${chalk.red(result.error)}`);
+                }
+                (result.failures || []).forEach(failure => {
+                    const row = failure.dataRow ? chalk.gray(` [${failure.dataRow}]`) : '';
+                    this.output.log(`      ${chalk.red('•')} ${failure.source}${row}: ${failure.test} - ${failure.message}`);
+                });
+                (result.budgetViolations || []).forEach(violation => {
+                    this.output.log(`      ${chalk.red('•')} ${violation.request}: ${violation.metric} ${violation.actual}ms exceeds budget of ${violation.budget}ms`);
+                });
+            });
+        }
+        
+        const skipped = results.filter(r => r.skipped && r.skipped.length > 0);
+        if (skipped.length > 0) {
+            this.output.log('\n' + chalk.yellow('Skipped on protected environments:'));
+            skipped.forEach(result => {
+                result.skipped.forEach(entry => {
+                    this.output.log(`  ${chalk.yellow('-')} ${result.environment} - ${result.collection}: ${entry.method} ${entry.request} (${entry.reason})`);
+                });
+            });
+        }
+        
+        const flaky = results.filter(r => r.flaky && r.flaky.length > 0);
+        if (flaky.length > 0) {
+            this.output.log('\n' + chalk.yellow('Flaky requests (passed after retry):'));
+            flaky.forEach(result => {
+                result.flaky.forEach(entry => {
+                    this.output.log(`  ${chalk.yellow('~')} ${result.environment} - ${result.collection}: ${entry.request} (${entry.failureKind}, passed on attempt ${entry.attempts})`);
+                });
+            });
+        }
+        
+        const collections = [...new Set(results.map(r => r.collection))];
+        if (collections.length > 1) {
+            this.printMatrix(results);
+        }
+        
+        const latencyReportPath = this.printLatency(results);
+        const summaryReports = this.writeSummaryReports(results, options.summaryReporters, { latency: latencyReportPath });
+        
+        this.output.log('\n' + chalk.blue('Reports generated in:'), this.options.reportDir);
+        if (latencyReportPath) {
+            this.output.log(chalk.blue('Latency report:'), latencyReportPath);
+        }
+        const labels = { junit: 'JUnit report:', markdown: 'Markdown summary:', html: 'Report index:' };
+        Object.entries(summaryReports).forEach(([name, file]) => {
+            this.output.log(chalk.blue(labels[name]), file);
+        });
+        this.output.log('='.repeat(60));
+        
+        return {
+            total: results.length,
+            successful: successful.length,
+            failed: failed.length,
+            reports: summaryReports,
+            results
+        };
+    }
+    
+    /**
+     * Write the matrix-wide reports: JUnit XML with one suite per collection × environment,
+     * a Markdown summary (also appended to $GITHUB_STEP_SUMMARY when set) and an HTML index
+     * linking every per-run report. Returns the written paths by reporter name.
+     */
+    writeSummaryReports(results, reporters = [], links = {}) {
+        checkSummaryReporters(reporters);
+        
+        const timestamp = reportTimestamp();
+        const reportDir = this.options.reportDir;
+        const written = {};
+        
+        if (reporters.includes('junit')) {
+            written.junit = path.join(reportDir, `matrix-${timestamp}.xml`);
+            fs.writeFileSync(written.junit, renderJUnit(results));
+        }
+        
+        if (reporters.includes('markdown')) {
+            const markdown = renderMarkdown(results, { reportDir });
+            written.markdown = path.join(reportDir, `matrix-${timestamp}.md`);
+            fs.writeFileSync(written.markdown, markdown);
+            
+            if (process.env.GITHUB_STEP_SUMMARY) {
+                fs.appendFileSync(process.env.GITHUB_STEP_SUMMARY, markdown);
+            }
+        }
+        
+        // The index keeps a fixed name so CI artifacts and bookmarks always open the latest run
+        if (reporters.includes('html')) {
+            written.html = path.join(reportDir, 'index.html');
+            fs.writeFileSync(written.html, renderIndexHtml(results, {
+                reportDir,
+                links: { 'Latency report': links.latency, 'JUnit XML': written.junit, 'Markdown summary': written.markdown }
+            }));
+        }
+        
+        return written;
+    }
+    
+    /**
+     * Print a latency table per environment and write it as an HTML report.
+     * Returns the HTML report path, or undefined when no run recorded timings.
+     */
+    printLatency(results) {
+        const withLatency = results.filter(r => r.latency && r.latency.length > 0);
+        if (withLatency.length === 0) return undefined;
+        
+        const environments = [...new Set(withLatency.map(r => r.environment))];
+        const formatBudget = budget => budget
+            ? Object.entries(budget).map(([metric, limit]) => `${metric}≤${limit}`).join(' ')
+            : '';
+        
+        environments.forEach(environment => {
+            this.output.log('\n' + chalk.blue(`Latency (ms) - ${environment}:`));
+            this.output.log(chalk.bold(`  ${'Request'.padEnd(48)}${'n'.padStart(4)}${'p50'.padStart(7)}${'p95'.padStart(7)}${'p99'.padStart(7)}${'max'.padStart(7)}  Budget`));
+            
+            withLatency.filter(r => r.environment === environment).forEach(result => {
+                result.latency.forEach(row => {
+                    const exceeded = (result.budgetViolations || []).some(v => v.request === row.request);
+                    const name = `${result.collection} › ${row.request}`;
+                    const line = `  ${name.slice(0, 47).padEnd(48)}${String(row.samples).padStart(4)}${String(row.p50).padStart(7)}${String(row.p95).padStart(7)}${String(row.p99).padStart(7)}${String(row.max).padStart(7)}  ${formatBudget(row.budget)}`;
+                    this.output.log(exceeded ? chalk.red(line) : line);
+                });
+            });
+        });
+        
+        const timestamp = reportTimestamp();
+        const htmlPath = path.join(this.options.reportDir, `latency-${timestamp}.html`);
+        fs.writeFileSync(htmlPath, renderLatencyHtml(withLatency, environments));
+        
+        return htmlPath;
+    }
+    
+    /**
+     * Print a collection × environment matrix of run outcomes
+     */
+    printMatrix(results) {
+        const collections = [...new Set(results.map(r => r.collection))];
+        const environments = [...new Set(results.map(r => r.environment))];
+        const cell = (result) => {
+            if (!result) return { text: '-', color: chalk.gray };
+            if (!result.stats) return { text: result.success ? '✓' : '✗ error', color: result.success ? chalk.green : chalk.red };
+            
+            const { assertions } = result.stats;
+            const text = `${result.success ? '✓' : '✗'} ${assertions.total - assertions.failed}/${assertions.total}`;
+            return { text, color: result.success ? chalk.green : chalk.red };
+        };
+        
+        const firstWidth = Math.max('Collection'.length, ...collections.map(c => c.length)) + 2;
+        const widths = environments.map(env => Math.max(env.length, ...collections.map(collection =>
+            cell(results.find(r => r.collection === collection && r.environment === env)).text.length)) + 2);
+        
+        this.output.log('\n' + chalk.blue('Matrix:'));
+        this.output.log('  ' + chalk.bold('Collection'.padEnd(firstWidth) + environments.map((env, i) => env.padEnd(widths[i])).join('')));
+        collections.forEach(collection => {
+            const row = environments.map((env, i) => {
+                const { text, color } = cell(results.find(r => r.collection === collection && r.environment === env));
+                return color(text.padEnd(widths[i]));
+            });
+            this.output.log('  ' + collection.padEnd(firstWidth) + row.join(''));
+        });
+    }
+}
+
+/**
+ * Format a date for report file names, e.g. 2024-01-15T10-00-00-000Z
+ */
+function reportTimestamp(date = new Date()) {
+    return date.toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Format one response difference for console output
+ */
+function formatDifference(difference) {
+    switch (difference.kind) {
+        case 'missing':
+            return `${chalk.red('-')} ${difference.path} (${difference.left}) missing`;
+        case 'added':
+            return `${chalk.green('+')} ${difference.path} (${difference.right}) added`;
+        case 'type':
+            return `${chalk.yellow('~')} ${difference.path}: ${difference.left} → ${difference.right}`;
+        default:
+            return `${chalk.yellow('~')} ${difference.path}: ${JSON.stringify(difference.left)} → ${JSON.stringify(difference.right)}`;
+    }
+}
+
+/**
+ * Render per-environment latency tables as a standalone HTML page
+ */
+function renderLatencyHtml(results, environments) {
+    const sections = environments.map(environment => {
+        const rows = results.filter(r => r.environment === environment).map(result => result.latency.map(row => {
+            const exceeded = (result.budgetViolations || []).some(v => v.request === row.request);
+            const budget = row.budget ? Object.entries(row.budget).map(([metric, limit]) => `${metric} ≤ ${limit}`).join(', ') : '';
+            const cells = [`${result.collection} › ${row.request}`, row.samples, row.p50, row.p95, row.p99, row.max, budget];
+            return `<tr${exceeded ? ' class="exceeded"' : ''}>${cells.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`;
+        }).join('')).join('');
+        
+        return `<h2>${escapeHtml(environment)}</h2>
+<table><tr><th>Request</th><th>Samples</th><th>p50</th><th>p95</th><th>p99</th><th>Max</th><th>Budget</th></tr>${rows}</table>`;
+    }).join('\n');
+    
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Latency Report</title>
+<style>
+    body { font-family: -apple-system, Segoe UI, sans-serif; margin: 2em; color: #222; }
+    table { border-collapse: collapse; margin-bottom: 1.5em; }
+    th, td { border: 1px solid #ddd; padding: 4px 10px; text-align: left; }
+    th { background: #f4f4f4; }
+    .exceeded td { background: #fdecea; color: #c62828; }
+</style>
+</head>
+<body>
+<h1>Latency Report (ms)</h1>
+${sections}
+</body>
+</html>
+`;
+}
+
+/**
+ * Build Newman's reporter list and per-reporter export paths for a run
+ */
+function buildReporters(options, reportBase) {
+    // Newman's CLI reporter writes straight to stdout, so buffered and quiet runs report through events instead
+    const reporters = (options.reporters || DEFAULT_REPORTERS)
+        .filter(reporter => !((options.output || options.quiet) && reporter === 'cli'));
+    const unsupported = reporters.filter(name => UNSUPPORTED_REPORTERS.includes(name));
+    if (unsupported.length > 0) {
+        throw new Error(`Reporter not supported by the test runner: ${unsupported.join(', ')} (use junit instead)`);
+    }
+    
+    const reporter = {};
+    const usedExtensions = new Set();
+    reporters.forEach(name => {
+        const extension = REPORTER_EXTENSIONS[name];
+        if (!extension) return;
+        
+        // Two reporters of the same format (e.g. html and htmlextra) get distinct file names
+        const file = usedExtensions.has(extension) ? `${reportBase}-${name}.${extension}` : `${reportBase}.${extension}`;
+        usedExtensions.add(extension);
+        reporter[name] = { export: file };
+    });
+    
+    return { reporters, reporter };
+}
+
+/**
+ * Merge the configured redaction settings over the defaults; `false` turns redaction off
+ */
+function resolveRedaction(config) {
+    if (config === false) return null;
+    
+    const settings = config || {};
+    const merge = key => [...new Set([...DEFAULT_REDACTION[key], ...(settings[key] || [])])];
+    
+    return {
+        mask: settings.mask || DEFAULT_REDACTION.mask,
+        headers: merge('headers'),
+        variables: merge('variables'),
+        paths: merge('paths')
+    };
+}
+
+/**
+ * Collect the values a run must never print: secret-typed and redacted variables,
+ * and everything resolved from the process environment or a .env file
+ */
+function secretValues(definition, overrides, redaction) {
+    const values = overrides.map(override => override.value);
+    
+    (definition.values || []).forEach(variable => {
+        if ((variable.type === 'secret' || redaction.variables.includes(variable.key)) && !isPlaceholder(variable.value)) {
+            values.push(variable.value);
+        }
+    });
+    
+    return values;
+}
+
+/**
+ * Wrap a console-like output so every line it writes is redacted
+ */
+function redactOutput(output, redactor) {
+    return {
+        log: (...args) => output.log(...args.map(arg => redactor.redactText(arg))),
+        error: (...args) => output.error(...args.map(arg => redactor.redactText(arg)))
+    };
+}
+
+/**
+ * Add sensitive header values and variables to the redactor as a Newman run discovers them
+ */
+function collectSensitiveValues(run, redactor, redaction) {
+    const addHeaders = headers => headers.each(header => {
+        if (!redaction.headers.includes(header.key.toLowerCase())) return;
+        
+        redactor.add(header.value);
+        // "Bearer <token>": the token may also show up on its own
+        const credentials = String(header.value).split(' ').slice(1).join(' ');
+        if (credentials) redactor.add(credentials);
+    });
+    
+    run.on('beforeRequest', (error, args) => {
+        if (!error && args.request) addHeaders(args.request.headers);
+    });
+    
+    run.on('request', (error, args) => {
+        if (error) return;
+        if (args.request) addHeaders(args.request.headers);
+        if (args.response) addHeaders(args.response.headers);
+    });
+    
+    // Variables set by test scripts (e.g. a login storing auth_token) are redacted from the next line on
+    run.on('item', () => {
+        redaction.variables.forEach(key => redactor.add(run.summary.environment.get(key)));
+    });
+}
+
+/**
+ * Copy an environment with its values replaced by those a previous run ended with
+ */
+function environmentWithValues(definition, values) {
+    const environment = { ...definition, values: [...definition.values] };
+    const existing = new Set(environment.values.map(variable => variable.key));
+    
+    environment.values = environment.values.map(variable => (
+        variable.key in values ? { ...variable, value: values[variable.key] } : variable
+    ));
+    Object.entries(values).forEach(([key, value]) => {
+        if (!existing.has(key)) environment.values.push({ key, value, enabled: true });
+    });
+    
+    return environment;
+}
+
+/**
+ * List requests that failed in an earlier attempt but passed in the final result
+ */
+function findFlakyRequests(attempts, finalResults) {
+    if (attempts.length < 2) return [];
+    
+    const stillFailing = new Set(getFailedRequests(finalResults).map(request => request.key));
+    const flaky = new Map();
+    
+    attempts.slice(0, -1).forEach(attempt => {
+        getFailedRequests(attempt).forEach(request => {
+            if (stillFailing.has(request.key)) return;
+            
+            if (!flaky.has(request.key)) {
+                const firstError = request.executions.find(execution => execution.error) ||
+                    request.failures[0] || {};
+                flaky.set(request.key, {
+                    request: request.key,
+                    failedAttempts: 0,
+                    failureKind: request.kind,
+                    firstError: firstError.error || firstError.message
+                });
+            }
+            flaky.get(request.key).failedAttempts++;
+        });
+    });
+    
+    return [...flaky.values()].map(entry => ({ ...entry, attempts: entry.failedAttempts + 1 }));
+}
+
+/**
+ * Build the result entry for a run that could not be executed
+ */
+function failedResult(collection, environment, error) {
+    return {
+        success: false,
+        environment,
+        collection,
+        error: error.message
+    };
+}
+
+/**
+ * Create a console-like output that holds lines until flushed to `target`
+ */
+function createBufferedOutput(target = console) {
+    const lines = [];
+    
+    return {
+        log: (...args) => lines.push(args.join(' ')),
+        error: (...args) => lines.push(args.join(' ')),
+        flush: () => {
+            if (lines.length > 0) {
+                target.log(lines.join('\n'));
+                lines.length = 0;
+            }
+        }
+    };
+}
+
+/**
+ * Write one line per request and failed assertion of a Newman run to the given output
+ */
+function reportRunProgress(run, output) {
+    run.on('request', (error, args) => {
+        if (error) {
+            output.log(chalk.red(`  ↳ ${args.item.name} - ${error.message}`));
+            return;
+        }
+        output.log(chalk.gray(`  ↳ ${args.item.name} [${args.response.code} ${args.response.status}, ${args.response.responseTime}ms]`));
+    });
+    
+    run.on('assertion', (error, args) => {
+        if (error) {
+            output.log(`    ${chalk.red('✗')} ${args.assertion} - ${error.message}`);
+        } else if (!args.skipped) {
+            output.log(`    ${chalk.green('✓')} ${args.assertion}`);
+        }
+    });
+}
+
+/**
+ * Re-emit a Newman run's requests and failed assertions as runner events
+ */
+function forwardRunEvents(run, runner, context, redactor) {
+    const redact = text => (redactor && text ? redactor.redactText(text) : text);
+    const currentItem = trackCurrentItem(run);
+    
+    run.on('request', (error, args) => {
+        runner.emitEvent('request:done', {
+            ...context,
+            request: currentItem(),
+            iteration: args.cursor ? args.cursor.iteration : 0,
+            method: args.request ? args.request.method : undefined,
+            url: args.request ? redact(args.request.url.toString()) : undefined,
+            code: args.response ? args.response.code : undefined,
+            status: args.response ? args.response.status : undefined,
+            responseTime: args.response ? args.response.responseTime : undefined,
+            error: error ? redact(error.message) : undefined
+        });
+    });
+    
+    run.on('assertion', (error, args) => {
+        if (!error) return;
+        
+        runner.emitEvent('assertion:failed', {
+            ...context,
+            request: currentItem(),
+            iteration: args.cursor ? args.cursor.iteration : 0,
+            assertion: args.assertion,
+            message: redact(error.message)
+        });
+    });
+}
+
+/**
+ * Follow which collection item a Newman run is on. The item passed to 'request' and
+ * 'assertion' is detached from its folders, so its path is taken on 'beforeItem'.
+ * Returns a function giving the current "Folder / Request" path.
+ */
+function trackCurrentItem(run) {
+    let currentPath = [];
+    run.on('beforeItem', (error, args) => {
+        currentPath = itemPath(args.item);
+    });
+    return () => currentPath.join(' / ');
+}
+
+/**
+ * Record status, headers and body of every response in a Newman run
+ */
+function captureResponses(run) {
+    const responses = [];
+    const currentItem = trackCurrentItem(run);
+    
+    run.on('request', (error, args) => {
+        if (error || !args.response) return;
+        
+        const headers = {};
+        args.response.headers.each(header => {
+            headers[header.key.toLowerCase()] = header.value;
+        });
+        
+        responses.push({
+            request: currentItem(),
+            iteration: args.cursor ? args.cursor.iteration : 0,
+            code: args.response.code,
+            headers,
+            body: args.response.stream ? args.response.stream.toString() : ''
+        });
+    });
+    
+    return responses;
+}
+
+/**
+ * Record every request/response exchange of a run as HAR entries
+ */
+function recordExchanges(run, context) {
+    const entries = [];
+    const currentItem = trackCurrentItem(run);
+    
+    run.on('request', (error, args) => {
+        if (error || !args.request || !args.response) return;
+        
+        entries.push(harEntry(args.request, args.response, {
+            request: currentItem(),
+            iteration: args.cursor ? args.cursor.iteration : 0,
+            attempt: context.attempt
+        }));
+    });
+    
+    return entries;
+}
+
+/**
+ * Run `worker` over every job with a global concurrency limit and an optional per-key limit.
+ * Resolves with the worker results in job order.
+ */
+function runWithConcurrency(jobs, { concurrency, keyOf = () => null, keyConcurrency = Infinity }, worker) {
+    const results = new Array(jobs.length);
+    const pending = jobs.map((job, index) => index);
+    const activeByKey = new Map();
+    let active = 0;
+    
+    return new Promise((resolve, reject) => {
+        const next = () => {
+            if (pending.length === 0 && active === 0) {
+                resolve(results);
+                return;
+            }
+            
+            while (active < concurrency) {
+                const position = pending.findIndex(index => (activeByKey.get(keyOf(jobs[index])) || 0) < keyConcurrency);
+                if (position === -1) return;
+                
+                const index = pending.splice(position, 1)[0];
+                const key = keyOf(jobs[index]);
+                active++;
+                activeByKey.set(key, (activeByKey.get(key) || 0) + 1);
+                
+                Promise.resolve()
+                    .then(() => worker(jobs[index], index))
+                    .then(result => {
+                        results[index] = result;
+                        active--;
+                        activeByKey.set(key, activeByKey.get(key) - 1);
+                        next();
+                    }, reject);
+            }
+        };
+        
+        next();
+    });
+}
+
+/**
+ * Get the folder/request name path of a collection item, excluding the collection itself
+ */
+function itemPath(item) {
+    const names = [];
+    let node = item;
+    
+    while (node && typeof node.parent === 'function' && node.parent()) {
+        names.unshift(node.name);
+        node = node.parent();
+    }
+    
+    return names;
+}
+
+/**
+ * Convert a Newman run summary into plain, serialisable result data
+ */
+function collectRunResults(summary) {
+    const run = summary.run;
+    const stat = (name) => ({
+        total: run.stats[name].total || 0,
+        failed: run.stats[name].failed || 0
+    });
+    
+    const executions = run.executions.map(execution => {
+        const response = execution.response;
+        const request = execution.request;
+        
+        return {
+            iteration: execution.cursor ? execution.cursor.iteration : 0,
+            name: execution.item.name,
+            path: itemPath(execution.item),
+            method: request ? request.method : undefined,
+            url: request ? request.url.toString() : undefined,
+            code: response ? response.code : undefined,
+            status: response ? response.status : undefined,
+            responseTime: response ? response.responseTime : undefined,
+            responseSize: response ? response.responseSize : undefined,
+            error: execution.requestError ? execution.requestError.message : undefined,
+            errorCode: execution.requestError ? execution.requestError.code : undefined,
+            assertions: (execution.assertions || []).map(assertion => ({
+                name: assertion.assertion,
+                passed: !assertion.error && !assertion.skipped,
+                skipped: Boolean(assertion.skipped),
+                error: assertion.error ? assertion.error.message : undefined
+            }))
+        };
+    });
+    
+    const failures = run.failures.map(failure => ({
+        iteration: failure.cursor ? failure.cursor.iteration : 0,
+        source: failure.source && failure.source.name ? failure.source.name : 'collection',
+        path: failure.source && itemPath(failure.source).length > 0 ? itemPath(failure.source) : undefined,
+        test: failure.error.test || failure.error.name,
+        message: failure.error.message
+    }));
+    
+    return {
+        stats: {
+            iterations: stat('iterations'),
+            requests: stat('requests'),
+            assertions: stat('assertions')
+        },
+        timings: {
+            started: run.timings.started,
+            completed: run.timings.completed,
+            duration: run.timings.completed - run.timings.started,
+            responseAverage: run.timings.responseAverage,
+            responseMin: run.timings.responseMin,
+            responseMax: run.timings.responseMax
+        },
+        executions,
+        failures,
+        environmentValues: summary.environment ? summary.environment.values.toObject() : {}
+    };
+}
+
+/**
+ * Format request/assertion counts and duration for a summary line
+ */
+function formatStats(result) {
+    if (!result.stats) return '';
+    
+    const { requests, assertions } = result.stats;
+    const passed = assertions.total - assertions.failed;
+    return chalk.gray(` (${requests.total} requests, ${passed}/${assertions.total} assertions passed, ${result.timings.duration}ms)`);
+}
+
+/**
+ * Flags that take a value in the following argument
+ */
+const VALUE_FLAGS = [
+    '--timeout',
+    '--delay',
+    '--iterations',
+    '--parallel',
+    '--env-concurrency',
+    '--reporters',
+    '--summary-reporters',
+    '--confirm',
+    '--replay',
+    '--users',
+    '--duration',
+    '--ramp-up',
+    '--max-error-rate',
+    '--max-p95',
+    '--max-p99',
+    '--min-throughput',
+    '--profile',
+    '--config',
+    '--folder',
+    '--env-var',
+    '--tags',
+    '--exclude-tags',
+    '--retries',
+    '--streak',
+    '--limit',
+    '--html',
+    '--threshold',
+    '--min-delta',
+    '--ignore',
+    '--port',
+    '--contract',
+    '--data',
+    '--name',
+    '--title'
+];
+
+/**
+ * Return the value following a flag, if present
+ */
+function getArgValue(args, flag) {
+    const index = args.indexOf(flag);
+    return index !== -1 && args[index + 1] ? args[index + 1] : undefined;
+}
+
+/**
+ * Return the values of every occurrence of a repeatable flag
+ */
+function getArgValues(args, flag) {
+    const values = [];
+    args.forEach((arg, index) => {
+        if (arg === flag && args[index + 1]) values.push(args[index + 1]);
+    });
+    return values;
+}
+
+/**
+ * Parse a `--env-var key=value` flag into a Newman environment override
+ */
+function parseEnvVar(text) {
+    const separator = text.indexOf('=');
+    if (separator < 1) {
+        throw new Error(`Invalid --env-var "${text}" (use key=value)`);
+    }
+    return { key: text.slice(0, separator), value: text.slice(separator + 1) };
+}
+
+/**
+ * Collect the run options given as CLI flags; only flags that were passed are set
+ */
+function parseRunOptions(args) {
+    const options = {};
+    if (args.includes('--bail')) options.bail = true;
+    if (args.includes('--verbose')) options.verbose = true;
+    if (args.includes('--silent')) options.silent = true;
+    if (args.includes('--record')) options.record = true;
+    
+    const valueOptions = {
+        '--timeout': 'timeout',
+        '--delay': 'delay',
+        '--iterations': 'iterations',
+        '--parallel': 'parallel',
+        '--env-concurrency': 'environmentConcurrency',
+        '--contract': 'contract',
+        '--data': 'data',
+        '--replay': 'replay'
+    };
+    Object.entries(valueOptions).forEach(([flag, key]) => {
+        const value = getArgValue(args, flag);
+        if (value !== undefined) options[key] = value;
+    });
+    
+    const reporters = getArgValue(args, '--reporters');
+    if (reporters) options.reporters = reporters.split(',');
+    
+    const confirm = getArgValue(args, '--confirm');
+    if (confirm) options.confirm = confirm.split(',');
+    
+    const summaryReporters = getArgValue(args, '--summary-reporters');
+    if (summaryReporters) options.summaryReporters = summaryReporters.split(',');
+    
+    const folders = getArgValues(args, '--folder');
+    if (folders.length > 0) options.folders = folders;
+    
+    const envVars = getArgValues(args, '--env-var').map(parseEnvVar);
+    if (envVars.length > 0) options.envVars = envVars;
+    
+    const tags = getArgValue(args, '--tags');
+    if (tags) options.tags = tags.split(',');
+    
+    const excludeTags = getArgValue(args, '--exclude-tags');
+    if (excludeTags) options.excludeTags = excludeTags.split(',');
+    
+    if (args.includes('--no-history')) options.history = false;
+    
+    const retries = getArgValue(args, '--retries');
+    if (retries !== undefined) options.retry = { maxAttempts: Number(retries) + 1 };
+    
+    return options;
+}
+
+/**
+ * Collect the load settings given as CLI flags. `--duration` and `--iterations` replace each other,
+ * and threshold flags are merged into the configured thresholds by the caller.
+ */
+function parseLoadOptions(args) {
+    const load = {};
+    const users = getArgValue(args, '--users');
+    if (users !== undefined) load.users = Number(users);
+    
+    const rampUp = getArgValue(args, '--ramp-up');
+    if (rampUp !== undefined) load.rampUp = rampUp;
+    
+    const duration = getArgValue(args, '--duration');
+    const iterations = getArgValue(args, '--iterations');
+    if (duration !== undefined) {
+        load.duration = duration;
+    } else if (iterations !== undefined) {
+        load.iterations = Number(iterations);
+        load.duration = undefined;
+    }
+    
+    const thresholdFlags = {
+        '--max-error-rate': 'errorRate',
+        '--max-p95': 'p95',
+        '--max-p99': 'p99',
+        '--min-throughput': 'throughput'
+    };
+    const thresholds = {};
+    Object.entries(thresholdFlags).forEach(([flag, key]) => {
+        const value = getArgValue(args, flag);
+        if (value !== undefined) thresholds[key] = Number(value);
+    });
+    
+    return { load, thresholds };
+}
+
+/**
+ * Return the arguments that are neither flags nor flag values
+ */
+function getPositionalArgs(args) {
+    const positional = [];
+    
+    for (let i = 0; i < args.length; i++) {
+        if (VALUE_FLAGS.includes(args[i])) {
+            i++;
+        } else if (!args[i].startsWith('--')) {
+            positional.push(args[i]);
+        }
+    }
+    
+    return positional;
+}
+
+/**
+ * Create the runner for a CLI command, with the config file from --config and --quiet applied
+ */
+function createRunner(args) {
+    const configPath = getArgValue(args, '--config');
+    return new TestRunner({
+        ...(configPath ? { configPath: path.resolve(configPath) } : {}),
+        quiet: args.includes('--quiet')
+    });
+}
+
+/**
+ * CLI interface
+ */
+async function main() {
+    const args = process.argv.slice(2);
+    
+    if (args.length === 0) {
+        console.log(chalk.cyan('Postman Test Runner'));
+        console.log('Usage: node run-tests.js <collection1,collection2,...|glob> <environment1,environment2,...> [options]');
+        console.log('       node run-tests.js --all <environment1,environment2,...> [options]');
+        console.log('\nExamples:');
+        console.log('  node run-tests.js api-tests dev');
+        console.log('  node run-tests.js api-tests dev,qa,staging');
+        console.log('  node run-tests.js health-check dev --bail --verbose');
+        console.log('  node run-tests.js api-tests dev,qa,staging --parallel 3');
+        console.log('  node run-tests.js health-check,api-tests dev,qa');
+        console.log('  node run-tests.js "*-tests" dev');
+        console.log('  node run-tests.js --all dev,qa,staging');
+        console.log('  node run-tests.js --profile nightly');
+        console.log('  node run-tests.js --profile nightly --iterations 1 --reporters cli,junit');
+        console.log('  node run-tests.js api-tests dev --folder Authentication --folder "User Management"');
+        console.log('  node run-tests.js api-tests prod --confirm prod --tags smoke --exclude-tags destructive');
+        console.log('  node run-tests.js api-tests staging --retries 2');
+        console.log('  node run-tests.js api-tests dev --contract specs/api.yaml');
+        console.log('  node run-tests.js api-tests qa --data users.csv');
+        console.log('  node run-tests.js api-tests dev --quiet');
+        console.log('  node run-tests.js api-tests local --env-var base_url=http://localhost:3005');
+        console.log('  node run-tests.js api-tests staging --record');
+        console.log('  node run-tests.js api-tests staging --replay reports/staging-api-tests-<timestamp>.har');
+        console.log('  node run-tests.js --profile all --summary-reporters junit,markdown,html');
+        console.log('\nCommands:');
+        console.log('  node run-tests.js trends [--streak 3] [--limit 20] [--html reports/trends.html]');
+        console.log('  node run-tests.js baseline <collection> <environment> [report.json]');
+        console.log('  node run-tests.js compare <current.json> <baseline.json> [--threshold 20] [--min-delta 50]');
+        console.log('  node run-tests.js compare <collection> <environment> [--threshold 20]');
+        console.log('  node run-tests.js load <collection> <environment> [--users 10] [--duration 30s | --iterations 20] [--ramp-up 5s] [--folder name]');
+        console.log('                    [--max-error-rate 1] [--max-p95 800] [--max-p99 1500] [--min-throughput 50]');
+        console.log('  node run-tests.js diff <collection> <environment1,environment2,...> [--ignore body.id,body[*].createdAt] [--diff-values]');
+        console.log('  node run-tests.js mock [collection1,collection2,...|glob] [--port 3001]');
+        console.log('  node run-tests.js import-openapi <spec.yaml|spec.json> [--name my-service] [--title "My Service"] [--force]');
+        process.exit(0);
+    }
+    
+    if (args[0] === 'import-openapi') {
+        const [, specPath] = getPositionalArgs(args);
+        
+        try {
+            if (!specPath) {
+                throw new Error('Usage: node run-tests.js import-openapi <spec.yaml|spec.json> [--name <collection>]');
+            }
+            
+            const runner = createRunner(args);
+            runner.importOpenApi(path.resolve(specPath), {
+                name: getArgValue(args, '--name'),
+                title: getArgValue(args, '--title'),
+                force: args.includes('--force')
+            });
+            process.exit(0);
+        } catch (error) {
+            console.error(chalk.red(`Error: ${error.message}`));
+            process.exit(1);
+        }
+    }
+    
+    if (args[0] === 'mock') {
+        const [, collectionSpec] = getPositionalArgs(args);
+        
+        try {
+            const runner = createRunner(args);
+            await runner.startMockServer(runner.resolveCollections(collectionSpec), { port: getArgValue(args, '--port') });
+        } catch (error) {
+            console.error(chalk.red(`Error: ${error.message}`));
+            process.exit(1);
+        }
+        return;
+    }
+    
+    if (args[0] === 'load') {
+        const [, collection, environment] = getPositionalArgs(args);
+        
+        try {
+            if (!collection || !environment) {
+                throw new Error('Usage: node run-tests.js load <collection> <environment> [--users 10] [--duration 30s | --iterations 20] [--ramp-up 5s]');
+            }
+            
+            const runner = createRunner(args);
+            const options = { ...runner.getProfile(getArgValue(args, '--profile')), ...parseRunOptions(args) };
+            const { load, thresholds } = parseLoadOptions(args);
+            const configured = options.load || {};
+            options.load = { ...configured, ...load, thresholds: { ...(configured.thresholds || {}), ...thresholds } };
+            
+            const result = await runner.runLoad(collection, environment, options);
+            process.exit(result.success ? 0 : 1);
+        } catch (error) {
+            console.error(chalk.red(`Error: ${error.message}`));
+            process.exit(1);
+        }
+    }
+    
+    if (args[0] === 'trends') {
+        try {
+            const runner = createRunner(args);
+            runner.generateTrends({
+                streak: getArgValue(args, '--streak'),
+                limit: getArgValue(args, '--limit'),
+                html: getArgValue(args, '--html')
+            });
+            process.exit(0);
+        } catch (error) {
+            console.error(chalk.red(`Error: ${error.message}`));
+            process.exit(1);
+        }
+    }
+    
+    if (args[0] === 'diff') {
+        const [, collection, environmentSpec] = getPositionalArgs(args);
+        
+        try {
+            if (!collection || !environmentSpec) {
+                throw new Error('Usage: node run-tests.js diff <collection> <environment1,environment2,...>');
+            }
+            
+            const runner = createRunner(args);
+            const options = { ...runner.getProfile(getArgValue(args, '--profile')), ...parseRunOptions(args) };
+            const ignore = getArgValue(args, '--ignore');
+            options.diff = {
+                ...(options.diff || {}),
+                ...(ignore ? { ignore: ignore.split(',') } : {}),
+                ...(args.includes('--diff-values') ? { compareValues: true } : {})
+            };
+            
+            const { differences } = await runner.diffEnvironments(collection, environmentSpec.split(','), options);
+            process.exit(differences > 0 ? 1 : 0);
+        } catch (error) {
+            console.error(chalk.red(`Error: ${error.message}`));
+            process.exit(1);
+        }
+    }
+    
+    if (args[0] === 'compare' || args[0] === 'baseline') {
+        const [command, ...rest] = getPositionalArgs(args);
+        
+        try {
+            const runner = createRunner(args);
+            
+            if (command === 'baseline') {
+                const [collection, environment, reportPath] = rest;
+                if (!collection || !environment) {
+                    throw new Error('Usage: node run-tests.js baseline <collection> <environment> [report.json]');
+                }
+                runner.saveBaseline(collection, environment, reportPath && path.resolve(reportPath));
+                process.exit(0);
+            }
+            
+            let currentPath;
+            let baselinePath;
+            if (rest.length === 2 && rest.every(arg => arg.endsWith('.json'))) {
+                [currentPath, baselinePath] = rest.map(arg => path.resolve(arg));
+            } else if (rest.length === 2) {
+                const [collection, environment] = rest;
+                currentPath = runner.findLatestReport(collection, environment);
+                baselinePath = runner.getBaselinePath(collection, environment);
+            } else {
+                throw new Error('Usage: node run-tests.js compare <current.json> <baseline.json> | <collection> <environment>');
+            }
+            
+            const comparison = runner.compareRuns(currentPath, baselinePath, {
+                threshold: getArgValue(args, '--threshold'),
+                minDelta: getArgValue(args, '--min-delta')
+            });
+            process.exit(comparison.regressions > 0 ? 1 : 0);
+        } catch (error) {
+            console.error(chalk.red(`Error: ${error.message}`));
+            process.exit(1);
+        }
+    }
+    
+    const positional = getPositionalArgs(args);
+    const all = args.includes('--all');
+    
+    try {
+        const runner = createRunner(args);
+        
+        // CLI flags override the selected profile, which overrides the config defaults
+        const profile = runner.getProfile(getArgValue(args, '--profile'));
+        const cliOptions = parseRunOptions(args);
+        if (cliOptions.retry && profile.retry) {
+            cliOptions.retry = { ...profile.retry, ...cliOptions.retry };
+        }
+        const options = { ...profile, ...cliOptions };
+        
+        const collectionSpec = all ? '*' : (positional[0] || profile.collections);
+        const environmentSpec = all ? positional[0] : positional[1];
+        const environments = environmentSpec ? environmentSpec.split(',') : (profile.environments || ['dev']);
+        
+        const collections = runner.resolveCollections(collectionSpec);
+        const results = await runner.runMatrix(collections, environments, options);
+        const summary = runner.generateSummary(results, options);
+        
+        // Exit with error code if any tests failed
+        process.exit(summary.failed > 0 ? 1 : 0);
+    
     } catch (error) {
         console.error(chalk.red(`Error: ${error.message}`));
         process.exit(1);
@@ -1,13 +1,26 @@
 const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
+const { isPlaceholder } = require('./lib/secrets');
+const {
+    ENVIRONMENT_SUFFIX,
+    SCHEMA_FILE,
+    DEFAULT_SCHEMA,
+    listEnvironments,
+    resolveEnvironment,
+    loadSchema,
+    checkSchema,
+    findInconsistencies
+} = require('./lib/environments');
+const { protectionPolicy } = require('./lib/protection');
 
 const ENVIRONMENTS_DIR = path.join(__dirname, '..', 'environments');
 
 /**
- * Validates Postman environment structure and content
+ * Validates Postman environment structure and content. Environments that extend another
+ * are checked against the schema with their inherited variables merged in.
  */
-function validateEnvironment(filePath) {
+function validateEnvironment(filePath, { schema = DEFAULT_SCHEMA, environmentsDir = path.dirname(filePath) } = {}) {
     console.log(`\n${chalk.blue('Validating environment:')} ${path.basename(filePath)}`);
     
     try {
@@ -28,24 +41,32 @@ function validateEnvironment(filePath) {
             validateVariables(environment.values, errors, warnings);
         }
         
-        // Check for required variables
-        const requiredVars = ['base_url'];
-        const variables = environment.values || [];
-        const varNames = variables.map(v => v.key);
-        
-        requiredVars.forEach(reqVar => {
-            if (!varNames.includes(reqVar)) {
-                errors.push(`Missing required variable: ${reqVar}`);
-            }
-        });
+        if (environment.extends !== undefined) {
+            console.log(chalk.gray(`  Extends: ${environment.extends}`));
+        }
         
-        // Check for common variables
-        const commonVars = ['username', 'password', 'api_key', 'timeout'];
-        commonVars.forEach(commonVar => {
-            if (!varNames.includes(commonVar)) {
-                warnings.push(`Consider adding common variable: ${commonVar}`);
+        // Abstract bases only hold shared values; the environments extending them are checked in full
+        if (environment.abstract) {
+            console.log(chalk.gray('  Abstract base environment; checked through the environments that extend it'));
+        } else if (errors.length === 0) {
+            const name = path.basename(filePath, ENVIRONMENT_SUFFIX);
+            try {
+                const resolved = resolveEnvironment(environmentsDir, name);
+                validateSecretsFrom(resolved, errors);
+                
+                const policy = protectionPolicy(resolved, name);
+                if (policy) {
+                    const allowed = policy.allow.length > 0 ? ` except ${policy.allow.join(', ')}` : '';
+                    console.log(chalk.gray(`  Protected: mutating requests are ${policy.mode === 'refuse' ? 'refused' : 'skipped'}${allowed}`));
+                }
+                
+                const result = checkSchema(resolved, schema, name);
+                errors.push(...result.errors);
+                warnings.push(...result.warnings);
+            } catch (error) {
+                errors.push(error.message);
             }
-        });
+        }
         
         // Report results
         if (errors.length === 0) {
@@ -61,7 +82,7 @@ function validateEnvironment(filePath) {
         }
         
         return errors.length === 0;
-        
+    
     } catch (error) {
         console.log(`${chalk.red('✗')} Failed to parse environment: ${error.message}`);
         return false;
@@ -106,63 +127,89 @@ function validateVariables(variables, errors, warnings) {
             }
         }
         
-        // Check URL format
-        if (variable.key === 'base_url' && variable.value) {
-            if (!variable.value.match(/^https?:\/\/.+/)) {
-                errors.push(`${varPath} (${variable.key}): Base URL should start with http:// or https://`);
-            }
+        // Secrets must come from the process environment or a git-ignored .env file
+        if (variable.type === 'secret' && variable.value && !isPlaceholder(variable.value)) {
+            errors.push(`${varPath} (${variable.key}): Secret has a committed value; use {{$env.NAME}} or "secretsFrom" with an empty value`);
         }
         
-        // Check timeout format
-        if (variable.key === 'timeout' && variable.value) {
-            if (!variable.value.match(/^\d+$/)) {
-                errors.push(`${varPath} (${variable.key}): Timeout should be a number`);
-            }
+        // Types, allowed values and patterns come from the environment schema (see checkSchema)
+    });
+}
+
+/**
+ * Validates the "secretsFrom" mapping of variable keys to process environment names
+ */
+function validateSecretsFrom(environment, errors) {
+    if (!environment.secretsFrom) return;
+    
+    if (typeof environment.secretsFrom !== 'object' || Array.isArray(environment.secretsFrom)) {
+        errors.push('"secretsFrom" must map variable keys to environment variable names');
+        return;
+    }
+    
+    const keys = environment.values.map(v => v.key);
+    Object.entries(environment.secretsFrom).forEach(([key, name]) => {
+        if (!keys.includes(key)) {
+            errors.push(`secretsFrom.${key}: No variable "${key}" in this environment`);
+        }
+        if (typeof name !== 'string' || !name.match(/^[A-Za-z_][A-Za-z0-9_]*$/)) {
+            errors.push(`secretsFrom.${key}: Invalid environment variable name`);
         }
     });
 }
 
 /**
- * Compares environments for consistency
+ * Compares the resolved environments for consistency. Returns false when a difference is
+ * an error (consistency "error" in the schema, or --strict).
  */
-function compareEnvironments(environments) {
+function compareEnvironments(environments, severity = 'warning') {
     console.log(chalk.cyan('\n🔄 Comparing environments for consistency...\n'));
     
     if (environments.length < 2) {
         console.log(chalk.yellow('Not enough environments to compare'));
-        return;
+        return true;
     }
     
-    // Get all variable keys from all environments
-    const allKeys = new Set();
-    const envKeys = {};
-    
-    environments.forEach(env => {
-        const keys = env.values.map(v => v.key);
-        envKeys[env.name] = new Set(keys);
-        keys.forEach(key => allKeys.add(key));
-    });
+    const inconsistencies = findInconsistencies(environments);
     
-    // Check for missing variables
     console.log(chalk.blue('Variable consistency check:'));
-    allKeys.forEach(key => {
-        const missingIn = [];
-        Object.entries(envKeys).forEach(([envName, keys]) => {
-            if (!keys.has(key)) {
-                missingIn.push(envName);
-            }
-        });
-        
-        if (missingIn.length > 0) {
-            console.log(`${chalk.yellow('⚠')} Variable "${key}" missing in: ${missingIn.join(', ')}`);
-        }
+    if (severity === 'ignore' || inconsistencies.length === 0) {
+        console.log(`${chalk.green('✓')} All environments define the same variables`);
+        return true;
+    }
+    
+    const icon = severity === 'error' ? chalk.red('✗') : chalk.yellow('⚠');
+    inconsistencies.forEach(({ key, missingIn }) => {
+        console.log(`${icon} Variable "${key}" missing in: ${missingIn.join(', ')}`);
     });
+    
+    return severity !== 'error';
+}
+
+/**
+ * Print an environment with everything it extends merged in
+ */
+function printResolvedEnvironment(name, output) {
+    if (!name) {
+        throw new Error('Usage: validate-environments.js --resolve <environment> [--output file]');
+    }
+    
+    const resolved = resolveEnvironment(ENVIRONMENTS_DIR, name);
+    const content = JSON.stringify(resolved, null, '\t') + '\n';
+    
+    if (output) {
+        fs.mkdirSync(path.dirname(path.resolve(output)), { recursive: true });
+        fs.writeFileSync(output, content);
+        console.error(chalk.green(`✅ Resolved ${name} written to ${output}`));
+    } else {
+        process.stdout.write(content);
+    }
 }
 
 /**
  * Main validation function
  */
-function validateEnvironments() {
+function validateEnvironments({ schemaPath = path.join(ENVIRONMENTS_DIR, SCHEMA_FILE), strict = false } = {}) {
     console.log(chalk.cyan('🔍 Validating Postman Environments...\n'));
     
     if (!fs.existsSync(ENVIRONMENTS_DIR)) {
@@ -170,37 +217,45 @@ function validateEnvironments() {
         process.exit(1);
     }
     
-    const files = fs.readdirSync(ENVIRONMENTS_DIR)
-        .filter(file => file.endsWith('.postman_environment.json'));
+    const names = listEnvironments(ENVIRONMENTS_DIR, { includeAbstract: true });
     
-    if (files.length === 0) {
+    if (names.length === 0) {
         console.log(chalk.yellow('No environment files found!'));
         process.exit(1);
     }
     
+    let schema;
+    try {
+        schema = loadSchema(schemaPath);
+    } catch (error) {
+        console.log(chalk.red(error.message));
+        process.exit(1);
+    }
+    console.log(chalk.gray(fs.existsSync(schemaPath) ? `Schema: ${path.relative(process.cwd(), schemaPath)}` : 'Schema: built-in default'));
+    
     let allValid = true;
     const environments = [];
+    const concrete = listEnvironments(ENVIRONMENTS_DIR);
     
-    files.forEach(file => {
-        const filePath = path.join(ENVIRONMENTS_DIR, file);
-        const isValid = validateEnvironment(filePath);
+    names.forEach(name => {
+        const filePath = path.join(ENVIRONMENTS_DIR, `${name}${ENVIRONMENT_SUFFIX}`);
+        const isValid = validateEnvironment(filePath, { schema, environmentsDir: ENVIRONMENTS_DIR });
         if (!isValid) {
             allValid = false;
         }
         
-        // Load environment for comparison
-        try {
-            const content = fs.readFileSync(filePath, 'utf8');
-            const environment = JSON.parse(content);
-            environments.push(environment);
-        } catch (error) {
-            // Error already reported in validateEnvironment
+        // Load the resolved environment for comparison
+        if (isValid && concrete.includes(name)) {
+            environments.push({ name, environment: resolveEnvironment(ENVIRONMENTS_DIR, name) });
         }
     });
     
     // Compare environments
     if (environments.length > 1) {
-        compareEnvironments(environments);
+        const consistent = compareEnvironments(environments, strict ? 'error' : schema.consistency);
+        if (!consistent) {
+            allValid = false;
+        }
     }
     
     console.log('\n' + '='.repeat(50));
@@ -214,9 +269,32 @@ function validateEnvironments() {
     }
 }
 
+/**
+ * CLI interface
+ */
+function main() {
+    const args = process.argv.slice(2);
+    const valueOf = flag => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+    
+    if (args.includes('--resolve')) {
+        try {
+            printResolvedEnvironment(valueOf('--resolve'), valueOf('--output'));
+            process.exit(0);
+        } catch (error) {
+            console.error(chalk.red(`Error: ${error.message}`));
+            process.exit(1);
+        }
+    }
+    
+    validateEnvironments({
+        schemaPath: valueOf('--schema') ? path.resolve(valueOf('--schema')) : undefined,
+        strict: args.includes('--strict')
+    });
+}
+
 // Run validation if script is executed directly
 if (require.main === module) {
-    validateEnvironments();
+    main();
 }
 
-module.exports = { validateEnvironments, validateEnvironment };
+module.exports = { validateEnvironments, validateEnvironment, compareEnvironments };